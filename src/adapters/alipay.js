@@ -0,0 +1,246 @@
+import {KeyValueStorage} from './storage.js';
+
+/**
+ * 支付宝小程序的错误码对应的错误信息, 转换成与微信小程序一致的 errMsg
+ */
+var ERROR_MESSAGES = {
+    2: 'invalid parameter',
+    11: 'no permission',
+    12: 'network error',
+    13: 'timeout',
+    14: 'decode error',
+    19: 'http error',
+    20: 'request stopped'
+};
+
+/**
+ * 将支付宝小程序的回调转换成与 wx.request 一致的回调
+ * 
+ * - 成功时 `status`/`headers` 转换成 `statusCode`/`header`
+ * - HTTP 状态异常时支付宝小程序会回调 fail, 需要转换成 success, 由 HTTP 状态来判断请求是否成功
+ * - 下载文件的路径 `apFilePath` 转换成 `tempFilePath`
+ * 
+ * @param {string} api 调用的 API 名称, 用于生成 errMsg
+ * @param {object} options wx.request 的 options
+ * @param {Function} send 调用支付宝小程序的 API 的方法, 参数为转换过的回调
+ * @return {object} 可以中断请求(abort)的 task
+ */
+function callApi(api, options, send) {
+    var aborted = false;
+
+    var complete = function(callback, requestResult) {
+        callback && callback(requestResult);
+        options.complete && options.complete(requestResult);
+    };
+    var success = function(res) {
+        var requestResult = {
+            // 支付宝小程序下载文件成功时没有返回 HTTP 状态
+            statusCode: res.status || res.statusCode || 200,
+            header: res.headers || res.header || {},
+            data: res.data,
+            errMsg: api + ':ok'
+        };
+        if (api === 'downloadFile') {
+            requestResult.tempFilePath = res.apFilePath || res.tempFilePath;
+        }
+        complete(options.success, requestResult);
+    };
+
+    var task = send({
+        success: success,
+        fail: function(res) {
+            if (aborted) {
+                complete(options.fail, {
+                    errMsg: api + ':fail abort'
+                });
+            } else if (typeof res.status != 'undefined' || typeof res.statusCode != 'undefined') {
+                success(res);
+            } else {
+                complete(options.fail, {
+                    errMsg: api + ':fail ' + (ERROR_MESSAGES[res.error] || res.errorMessage || res.error)
+                });
+            }
+        }
+    });
+
+    return {
+        abort: function() {
+            aborted = true;
+            task && task.abort && task.abort();
+        },
+        onProgressUpdate: function(listener) {
+            task && task.onProgressUpdate && task.onProgressUpdate(listener);
+        }
+    };
+}
+
+/**
+ * 支付宝小程序平台的适配器
+ */
+export default {
+    name: 'alipay',
+    request: function(options) {
+        return callApi('request', options, function(callbacks) {
+            return my.request({
+                url: options.url,
+                method: options.method,
+                data: options.data,
+                headers: options.header,
+                dataType: options.dataType,
+                timeout: options.timeout,
+                success: callbacks.success,
+                fail: callbacks.fail
+            });
+        });
+    },
+    uploadFile: function(options) {
+        return callApi('uploadFile', options, function(callbacks) {
+            return my.uploadFile({
+                url: options.url,
+                filePath: options.filePath,
+                fileName: options.name,
+                // 支付宝小程序必须指定文件的类型: image/video/audio
+                fileType: options.fileType || 'image',
+                header: options.header,
+                formData: options.formData,
+                success: callbacks.success,
+                fail: callbacks.fail
+            });
+        });
+    },
+    downloadFile: function(options) {
+        return callApi('downloadFile', options, function(callbacks) {
+            return my.downloadFile({
+                url: options.url,
+                header: options.header,
+                success: callbacks.success,
+                fail: callbacks.fail
+            });
+        });
+    },
+    accessFile: function(path) {
+        try {
+            my.getFileSystemManager().accessSync(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    connectSocket: function(options) {
+        // multiple 为 true 时才会返回 SocketTask, 支持同时存在多个连接
+        var task = my.connectSocket({
+            url: options.url,
+            header: options.header,
+            multiple: true,
+            fail: function(res) {
+                options.fail && options.fail({
+                    errMsg: 'connectSocket:fail ' + (res.errorMessage || ERROR_MESSAGES[res.error] || res.error)
+                });
+            }
+        });
+
+        return {
+            send: function(sendOptions) {
+                task.send(sendOptions);
+            },
+            close: function(closeOptions) {
+                task.close(closeOptions);
+            },
+            onOpen: function(listener) {
+                task.onOpen(listener);
+            },
+            onMessage: function(listener) {
+                task.onMessage(function(res) {
+                    // 消息的数据可能包装为 {data, isBuffer}
+                    var data = res.data;
+                    if (data && typeof data === 'object' && data.hasOwnProperty('isBuffer')) {
+                        data = data.data;
+                    }
+                    listener({
+                        data: data
+                    });
+                });
+            },
+            onError: function(listener) {
+                task.onError(function(res) {
+                    listener({
+                        errMsg: res.errorMessage || res.errMsg || 'socket error'
+                    });
+                });
+            },
+            onClose: function(listener) {
+                task.onClose(listener);
+            }
+        };
+    },
+    showLoading: function(options) {
+        my.showLoading({
+            content: options.title
+        });
+    },
+    hideLoading: function() {
+        my.hideLoading();
+    },
+    showNavigationBarLoading: function() {
+        my.showNavigationBarLoading();
+    },
+    hideNavigationBarLoading: function() {
+        my.hideNavigationBarLoading();
+    },
+    showToast: function(options) {
+        my.showToast({
+            type: options.icon === 'success' ? 'success' : 'none',
+            content: options.title,
+            duration: options.duration
+        });
+    },
+    onAppHide: function(listener) {
+        my.onAppHide(listener);
+    },
+    onAppShow: function(listener) {
+        my.onAppShow(listener);
+    },
+    offAppHide: function(listener) {
+        my.offAppHide(listener);
+    },
+    offAppShow: function(listener) {
+        my.offAppShow(listener);
+    },
+    onNetworkStatusChange: function(listener) {
+        my.onNetworkStatusChange(listener);
+    },
+    offNetworkStatusChange: function(listener) {
+        my.offNetworkStatusChange(listener);
+    },
+    getEnvVersion: function() {
+        try {
+            return my.getAccountInfoSync().miniProgram.envVersion;
+        } catch (error) {
+            // 基础库版本太低时不支持
+        }
+    },
+    createStorage: function(options) {
+        return new KeyValueStorage({
+            name: options.name,
+            backend: {
+                getItem: function(key) {
+                    var res = my.getStorageSync({
+                        key: key
+                    });
+                    return res ? res.data || undefined : undefined;
+                },
+                setItem: function(key, value) {
+                    my.setStorageSync({
+                        key: key,
+                        data: value
+                    });
+                },
+                removeItem: function(key) {
+                    my.removeStorageSync({
+                        key: key
+                    });
+                }
+            }
+        });
+    }
+};
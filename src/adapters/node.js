@@ -0,0 +1,391 @@
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {KeyValueStorage, createMemoryBackend} from './storage.js';
+
+/**
+ * 将数据序列化为 query string, 与 wx.request 的处理一致
+ * 
+ * @param {object} data
+ * @return {string}
+ */
+function toQueryString(data) {
+    return Object.keys(data).filter(function(key) {
+        return typeof data[key] !== 'undefined';
+    }).map(function(key) {
+        var value = data[key];
+        if (value !== null && typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+        return encodeURIComponent(key) + '=' + encodeURIComponent(value === null ? '' : value);
+    }).join('&');
+}
+
+/**
+ * 获取 header 的值(header 的名称不区分大小写)
+ * 
+ * @param {object} header
+ * @param {string} name
+ * @return {string}
+ */
+function getHeader(header, name) {
+    for (var key in header) {
+        if (key.toLowerCase() === name) {
+            return header[key];
+        }
+    }
+}
+
+/**
+ * 读取响应的数据, 回调的结果与 wx.request 一致
+ * 
+ * @param {string} api 调用的 API 名称
+ * @param {object} options wx.request 的 options
+ * @param {http.IncomingMessage} res
+ * @param {Function} success
+ */
+function readResponse(api, options, res, success) {
+    var chunks = [];
+    res.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    res.on('end', function() {
+        var data = Buffer.concat(chunks).toString();
+        if (api === 'request' && options.dataType === 'json') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                // 与 wx.request 一致, 解析失败时返回原始的数据
+            }
+        }
+
+        success({
+            statusCode: res.statusCode,
+            header: res.headers,
+            data: data,
+            errMsg: api + ':ok'
+        });
+    });
+}
+
+/**
+ * 发送 HTTP 请求, 回调的结果与 wx.request 一致
+ * 
+ * @param {string} api 调用的 API 名称, 用于生成 errMsg
+ * @param {object} options wx.request 的 options
+ * @param {string|Buffer} body 请求体
+ * @param {Function} [handleResponse=readResponse] 处理响应的方法, 参数为 `(api, options, res, success, fail, progress)`
+ * @return {object} 可以中断请求(abort)和监听进度(onProgressUpdate)的 task
+ */
+function send(api, options, body, handleResponse = readResponse) {
+    var headersListeners = [];
+    var progressListeners = [];
+    var progress = function(res) {
+        progressListeners.forEach(function(listener) {
+            listener(res);
+        });
+    };
+
+    var finished = false;
+    var complete = function(callback, requestResult) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        callback && callback(requestResult);
+        options.complete && options.complete(requestResult);
+    };
+    var fail = function(errMsg) {
+        complete(options.fail, {
+            errMsg: api + ':fail ' + errMsg
+        });
+    };
+
+    var url = options.url;
+    // 不指定协议的 URL 默认使用 https
+    if (url.indexOf('//') === 0) {
+        url = 'https:' + url;
+    }
+
+    var req = null;
+    try {
+        req = (url.indexOf('https:') === 0 ? https : http).request(url, {
+            method: options.method,
+            headers: options.header
+        }, function(res) {
+            headersListeners.forEach(function(listener) {
+                listener({
+                    header: res.headers
+                });
+            });
+            handleResponse(api, options, res, function(requestResult) {
+                complete(options.success, requestResult);
+            }, fail, progress);
+        });
+    } catch (error) { // 例如 URL 格式错误
+        // 与各个平台的 API 一样异步回调
+        setTimeout(function() {
+            fail(error.message);
+        }, 0);
+        return {
+            abort: function() {},
+            onProgressUpdate: function() {}
+        };
+    }
+
+    if (options.timeout) {
+        req.setTimeout(options.timeout, function() {
+            fail('timeout');
+            req.destroy();
+        });
+    }
+    req.on('error', function(error) {
+        fail(error.message);
+    });
+    req.end(body, function() {
+        // 请求体发送完后才通知上传的进度
+        if (api === 'uploadFile' && body) {
+            progress({
+                progress: 100,
+                totalBytesSent: body.length,
+                totalBytesExpectedToSend: body.length
+            });
+        }
+    });
+
+    return {
+        abort: function() {
+            fail('abort');
+            req.destroy();
+        },
+        onProgressUpdate: function(listener) {
+            progressListeners.push(listener);
+        },
+        onHeadersReceived: function(listener) {
+            headersListeners.push(listener);
+        }
+    };
+}
+
+/**
+ * 将响应的数据写入到文件中, 回调的结果与 wx.downloadFile 一致
+ * 
+ * @param {string} api
+ * @param {object} options wx.downloadFile 的 options
+ * @param {http.IncomingMessage} res
+ * @param {Function} success
+ * @param {Function} fail
+ * @param {Function} progress
+ */
+function writeResponse(api, options, res, success, fail, progress) {
+    // 没有指定保存文件的路径时保存为临时文件
+    var filePath = options.filePath || path.join(os.tmpdir(), 'weapp-backend-api-' + Date.now() + '-' +
+                                                 Math.random().toString(16).slice(2) + path.extname(res.req.path.split('?')[0]));
+    var total = parseInt(res.headers['content-length'], 10) || 0;
+    var written = 0;
+
+    var stream = fs.createWriteStream(filePath);
+    stream.on('error', function(error) {
+        fail(error.message);
+    });
+    stream.on('finish', function() {
+        var requestResult = {
+            statusCode: res.statusCode,
+            header: res.headers,
+            errMsg: api + ':ok'
+        };
+        if (options.filePath) {
+            requestResult.filePath = filePath;
+        } else {
+            requestResult.tempFilePath = filePath;
+        }
+        success(requestResult);
+    });
+
+    res.on('data', function(chunk) {
+        written += chunk.length;
+        progress({
+            progress: total ? Math.round(written / total * 100) : 0,
+            totalBytesWritten: written,
+            totalBytesExpectedToWrite: total
+        });
+    });
+    res.pipe(stream);
+}
+
+/**
+ * Node.js 的适配器, 基于 http/https 模块发送请求, 例如用于服务端的脚本和测试
+ * 
+ * 没有界面, 因此 loading 和错误提示都不会显示, 缓存数据只保存在内存中
+ */
+export default {
+    name: 'node',
+    request: function(options) {
+        var method = (options.method || 'GET').toUpperCase();
+        var header = Object.assign({}, options.header);
+        var data = options.data;
+        var body;
+
+        if (method === 'GET' || method === 'HEAD') {
+            if (data && typeof data === 'object') {
+                var queryString = toQueryString(data);
+                if (queryString) {
+                    options.url += (options.url.indexOf('?') === -1 ? '?' : '&') + queryString;
+                }
+            }
+        } else if (typeof data !== 'undefined') {
+            var contentType = getHeader(header, 'content-type') || 'application/json';
+            if (typeof data === 'string' || Buffer.isBuffer(data)) {
+                body = data;
+            } else if (contentType.indexOf('application/x-www-form-urlencoded') !== -1) {
+                body = toQueryString(data);
+            } else {
+                body = JSON.stringify(data);
+            }
+        }
+
+        return send('request', Object.assign({}, options, {
+            method: method,
+            header: header
+        }), body);
+    },
+    uploadFile: function(options) {
+        var boundary = '----WeappBackendApiBoundary' + Date.now().toString(16);
+        var formData = options.formData || {};
+        var parts = [];
+
+        Object.keys(formData).forEach(function(key) {
+            parts.push(Buffer.from('--' + boundary + '\r\n' +
+                'Content-Disposition: form-data; name="' + key + '"\r\n\r\n' +
+                formData[key] + '\r\n'));
+        });
+
+        var file;
+        try {
+            file = fs.readFileSync(options.filePath);
+        } catch (error) {
+            var requestResult = {
+                errMsg: 'uploadFile:fail ' + error.message
+            };
+            // 与各个平台的 API 一样异步回调
+            setTimeout(function() {
+                options.fail && options.fail(requestResult);
+                options.complete && options.complete(requestResult);
+            }, 0);
+            return {
+                abort: function() {},
+                onProgressUpdate: function() {}
+            };
+        }
+        parts.push(Buffer.from('--' + boundary + '\r\n' +
+            'Content-Disposition: form-data; name="' + options.name + '"; filename="' + path.basename(options.filePath) + '"\r\n' +
+            'Content-Type: application/octet-stream\r\n\r\n'));
+        parts.push(file);
+        parts.push(Buffer.from('\r\n--' + boundary + '--\r\n'));
+
+        var header = Object.assign({}, options.header);
+        Object.keys(header).forEach(function(key) {
+            if (key.toLowerCase() === 'content-type') {
+                delete header[key];
+            }
+        });
+        header['content-type'] = 'multipart/form-data; boundary=' + boundary;
+
+        return send('uploadFile', Object.assign({}, options, {
+            method: 'POST',
+            header: header
+        }), Buffer.concat(parts));
+    },
+    downloadFile: function(options) {
+        return send('downloadFile', Object.assign({}, options, {
+            method: 'GET'
+        }), undefined, writeResponse);
+    },
+    connectSocket: function(options) {
+        // Node.js 22 开始才有全局的 WebSocket(不支持设置 header)
+        if (typeof WebSocket === 'undefined') {
+            var noop = function() {};
+            setTimeout(function() {
+                options.fail && options.fail({
+                    errMsg: 'connectSocket:fail WebSocket is not supported'
+                });
+            }, 0);
+            return {
+                send: noop,
+                close: noop,
+                onOpen: noop,
+                onMessage: noop,
+                onError: noop,
+                onClose: noop
+            };
+        }
+
+        var socket = new WebSocket(options.url, options.protocols);
+        return {
+            send: function(sendOptions) {
+                try {
+                    socket.send(sendOptions.data);
+                    sendOptions.success && sendOptions.success({});
+                } catch (error) {
+                    sendOptions.fail && sendOptions.fail({
+                        errMsg: 'sendSocketMessage:fail ' + error.message
+                    });
+                }
+            },
+            close: function(closeOptions = {}) {
+                socket.close(closeOptions.code, closeOptions.reason);
+            },
+            onOpen: function(listener) {
+                socket.addEventListener('open', function() {
+                    listener({});
+                });
+            },
+            onMessage: function(listener) {
+                socket.addEventListener('message', function(event) {
+                    listener({
+                        data: event.data
+                    });
+                });
+            },
+            onError: function(listener) {
+                socket.addEventListener('error', function(event) {
+                    listener({
+                        errMsg: event.message || 'socket error'
+                    });
+                });
+            },
+            onClose: function(listener) {
+                socket.addEventListener('close', function(event) {
+                    listener({
+                        code: event.code,
+                        reason: event.reason
+                    });
+                });
+            }
+        };
+    },
+    accessFile: function(filePath) {
+        return fs.existsSync(filePath);
+    },
+    showLoading: function() {},
+    hideLoading: function() {},
+    showNavigationBarLoading: function() {},
+    hideNavigationBarLoading: function() {},
+    showToast: function() {},
+    onAppHide: function(listener) {
+        // 进程结束前上报
+        process.on('beforeExit', listener);
+    },
+    offAppHide: function(listener) {
+        process.removeListener('beforeExit', listener);
+    },
+    createStorage: function(options) {
+        return new KeyValueStorage({
+            name: options.name,
+            backend: createMemoryBackend()
+        });
+    }
+};
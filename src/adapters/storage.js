@@ -0,0 +1,109 @@
+/**
+ * 基于平台同步存储 API 的简单存储, 接口与 weapp-simple-storage 一致(支持设置数据的存活时长)
+ * 
+ * 用于没有 weapp-simple-storage 可用的平台, 例如支付宝小程序, Node.js
+ */
+class KeyValueStorage {
+    /**
+     * @param {object} options
+     * @param {string} options.name 存储的名称, 作为 key 的前缀, 用于隔离不同的存储
+     * @param {object} options.backend 平台的存储, 需要实现 `getItem(key)`, `setItem(key, value)`, `removeItem(key)`
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.backend = options.backend;
+    }
+
+    _getKey(key) {
+        return this.name + '.' + key;
+    }
+
+    /**
+     * 获取所有存储过的 key, 用于清空存储
+     * 
+     * @return {Array<string>}
+     */
+    _getKeys() {
+        return this.backend.getItem(this.name) || [];
+    }
+
+    get(key) {
+        var item = this.backend.getItem(this._getKey(key));
+        if (!item) {
+            return;
+        }
+
+        if (item.expires && item.expires < Date.now()) { // 数据已经过期了
+            this.remove(key);
+            return;
+        }
+
+        return item.value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {object} [options]
+     * @param {number} [options.ttl] 数据的存活时长(ms)
+     */
+    set(key, value, options = {}) {
+        this.backend.setItem(this._getKey(key), {
+            value: value,
+            expires: options.ttl >= 0 ? Date.now() + options.ttl : 0
+        });
+
+        var keys = this._getKeys();
+        if (keys.indexOf(key) === -1) {
+            keys.push(key);
+            this.backend.setItem(this.name, keys);
+        }
+    }
+
+    has(key) {
+        return typeof this.get(key) !== 'undefined';
+    }
+
+    remove(key) {
+        this.backend.removeItem(this._getKey(key));
+
+        var keys = this._getKeys();
+        var index = keys.indexOf(key);
+        if (index !== -1) {
+            keys.splice(index, 1);
+            this.backend.setItem(this.name, keys);
+        }
+    }
+
+    clear() {
+        this._getKeys().forEach((key) => {
+            this.backend.removeItem(this._getKey(key));
+        });
+        this.backend.removeItem(this.name);
+    }
+}
+
+/**
+ * 内存中的存储(例如 Node.js 中使用), 进程结束后数据就没有了
+ * 
+ * @return {object}
+ */
+function createMemoryBackend() {
+    var data = {};
+    return {
+        getItem: function(key) {
+            return data[key];
+        },
+        setItem: function(key, value) {
+            data[key] = value;
+        },
+        removeItem: function(key) {
+            delete data[key];
+        }
+    };
+}
+
+export {
+    KeyValueStorage,
+    createMemoryBackend
+};
@@ -0,0 +1,8 @@
+import createWxLikeAdapter from './wx-like.js';
+
+/**
+ * 字节跳动小程序平台的适配器, API 与微信小程序一致
+ */
+export default createWxLikeAdapter('toutiao', function() {
+    return tt;
+});
@@ -0,0 +1,92 @@
+import SimpleStorage from 'weapp-simple-storage';
+
+/**
+ * 微信小程序平台的适配器(默认的适配器)
+ * 
+ * 适配器封装了平台相关的 API, 其他平台的适配器需要实现同样的方法,
+ * 并且将发送请求的结果转换成与 wx.request 一致的格式, 这样发送请求的逻辑, loading 提示, 缓存, 拦截重复请求和错误码在各个平台都是一样的
+ * - request(options) 发送请求, 返回可以中断请求(abort)的 task
+ *   - options.success({statusCode, header, data, errMsg}) 收到服务器返回时回调(不管 HTTP 状态是否为 200)
+ *   - options.fail({errMsg}) 请求没有发送成功时回调, errMsg 的格式为 `request:fail 错误信息`
+ * - uploadFile(options) 上传文件, 回调同 request, 返回的 data 为 string 类型, 返回的 task 可以监听上传进度(onProgressUpdate)
+ * - downloadFile(options) 下载文件, 成功时回调 `{statusCode, tempFilePath, filePath}`, 返回的 task 可以监听下载进度(onProgressUpdate)
+ * - accessFile(path) 文件是否存在(可选), 用于判断缓存的下载文件是否还有效
+ * - connectSocket({url, header, protocols, timeout, fail}) 创建 WebSocket 连接(可选), 返回与 wx 一致的 SocketTask
+ *   (`send`/`close`/`onOpen`/`onMessage`/`onError`/`onClose`)
+ * - showLoading({title, mask}) / hideLoading()
+ * - showNavigationBarLoading() / hideNavigationBarLoading()
+ * - showToast({title, icon, duration})
+ * - onAppHide(listener) 监听小程序切换到后台(可选), 用于上报监控数据和暂停轮询
+ * - onAppShow(listener) 监听小程序切换到前台(可选), 用于恢复轮询
+ * - offAppHide(listener) / offAppShow(listener) 取消监听(可选)
+ * - onNetworkStatusChange(listener) 监听网络状态的变化(可选), 回调 `{isConnected}`, 用于回放离线队列中的请求
+ * - offNetworkStatusChange(listener) 取消监听(可选)
+ * - createStorage({name, loggerLevel}) 创建用于缓存数据的存储, 接口与 weapp-simple-storage 一致
+ * - getEnvVersion() 获取小程序运行的版本(可选): `develop` 开发版, `trial` 体验版, `release` 线上版, 用于判断默认的日志级别和环境
+ */
+export default {
+    name: 'weapp',
+    request: function(options) {
+        return wx.request(options);
+    },
+    uploadFile: function(options) {
+        return wx.uploadFile(options);
+    },
+    downloadFile: function(options) {
+        return wx.downloadFile(options);
+    },
+    connectSocket: function(options) {
+        return wx.connectSocket(options);
+    },
+    accessFile: function(path) {
+        try {
+            wx.getFileSystemManager().accessSync(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    showLoading: function(options) {
+        wx.showLoading(options);
+    },
+    hideLoading: function() {
+        wx.hideLoading();
+    },
+    showNavigationBarLoading: function() {
+        wx.showNavigationBarLoading();
+    },
+    hideNavigationBarLoading: function() {
+        wx.hideNavigationBarLoading();
+    },
+    showToast: function(options) {
+        wx.showToast(options);
+    },
+    onAppHide: function(listener) {
+        wx.onAppHide(listener);
+    },
+    onAppShow: function(listener) {
+        wx.onAppShow(listener);
+    },
+    offAppHide: function(listener) {
+        wx.offAppHide(listener);
+    },
+    offAppShow: function(listener) {
+        wx.offAppShow(listener);
+    },
+    onNetworkStatusChange: function(listener) {
+        wx.onNetworkStatusChange(listener);
+    },
+    offNetworkStatusChange: function(listener) {
+        wx.offNetworkStatusChange(listener);
+    },
+    createStorage: function(options) {
+        return new SimpleStorage(options);
+    },
+    getEnvVersion: function() {
+        try {
+            return wx.getAccountInfoSync().miniProgram.envVersion;
+        } catch (error) {
+            // 基础库版本太低(< 2.10.0)时没有 envVersion
+        }
+    }
+};
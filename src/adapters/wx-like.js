@@ -0,0 +1,91 @@
+import {KeyValueStorage} from './storage.js';
+
+/**
+ * 创建 API 与微信小程序一致的平台的适配器, 例如字节跳动小程序(tt), 百度智能小程序(swan)
+ * 
+ * @param {string} name 适配器的名称
+ * @param {Function} getApi 获取平台 API 的对象, 例如 `() => tt`
+ * @return {object} 适配器, 参考 `adapters/weapp.js`
+ */
+export default function createWxLikeAdapter(name, getApi) {
+    return {
+        name: name,
+        request: function(options) {
+            return getApi().request(options);
+        },
+        uploadFile: function(options) {
+            return getApi().uploadFile(options);
+        },
+        downloadFile: function(options) {
+            return getApi().downloadFile(options);
+        },
+        connectSocket: function(options) {
+            return getApi().connectSocket(options);
+        },
+        accessFile: function(path) {
+            try {
+                getApi().getFileSystemManager().accessSync(path);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        showLoading: function(options) {
+            getApi().showLoading(options);
+        },
+        hideLoading: function() {
+            getApi().hideLoading();
+        },
+        showNavigationBarLoading: function() {
+            getApi().showNavigationBarLoading();
+        },
+        hideNavigationBarLoading: function() {
+            getApi().hideNavigationBarLoading();
+        },
+        showToast: function(options) {
+            getApi().showToast(options);
+        },
+        onAppHide: function(listener) {
+            getApi().onAppHide(listener);
+        },
+        onAppShow: function(listener) {
+            getApi().onAppShow(listener);
+        },
+        offAppHide: function(listener) {
+            getApi().offAppHide(listener);
+        },
+        offAppShow: function(listener) {
+            getApi().offAppShow(listener);
+        },
+        onNetworkStatusChange: function(listener) {
+            getApi().onNetworkStatusChange(listener);
+        },
+        offNetworkStatusChange: function(listener) {
+            getApi().offNetworkStatusChange(listener);
+        },
+        getEnvVersion: function() {
+            try {
+                return getApi().getAccountInfoSync().miniProgram.envVersion;
+            } catch (error) {
+                // 平台不支持获取运行的版本
+            }
+        },
+        createStorage: function(options) {
+            return new KeyValueStorage({
+                name: options.name,
+                backend: {
+                    getItem: function(key) {
+                        // 没有数据时返回的是空字符串
+                        return getApi().getStorageSync(key) || undefined;
+                    },
+                    setItem: function(key, value) {
+                        getApi().setStorageSync(key, value);
+                    },
+                    removeItem: function(key) {
+                        getApi().removeStorageSync(key);
+                    }
+                }
+            });
+        }
+    };
+}
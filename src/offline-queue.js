@@ -0,0 +1,264 @@
+import extend from 'extend';
+
+/**
+ * 离线请求队列
+ *
+ * 设置了 `_offline: 'queue'` 的修改类请求(例如 POST)因为网络不可用(A 类型的错误)而失败时, 保存到本地存储中,
+ * 在网络恢复(`onNetworkStatusChange`)或者小程序重新启动后按顺序重新发送(回放)
+ *
+ * 每个请求回放的结果都会通知给监听者(`on`), 便于界面做相应的处理
+ * - `queued` 请求保存到了离线队列中
+ * - `success` 回放成功
+ * - `conflict` 回放时发生了冲突(例如数据已经被修改过了), 不会再回放
+ * - `fail` 回放失败(例如业务错误), 不会再回放
+ * - `expired` 请求已经过期, 不会再回放
+ */
+class OfflineQueue {
+    /**
+     * @param {WeappBackendApi} backendApi
+     * @param {object} options 参考 `WeappBackendApi.defaults.offline`
+     * @param {number} [loggerLevel]
+     */
+    constructor(backendApi, options, loggerLevel) {
+        this.backendApi = backendApi;
+        this.options = options;
+
+        this.storage = backendApi.adapter.createStorage({
+            name: 'backend-api-offline',
+            loggerLevel: loggerLevel
+        });
+
+        // 回放结果的监听者
+        this.listeners = [];
+        // 正在回放(Promise)
+        this.replaying = null;
+
+        // 监听网络状态的变化, 在 destroy 时取消监听
+        this._onNetworkStatusChange = (res) => {
+            if (res.isConnected) {
+                this.replay();
+            }
+        };
+        var adapter = backendApi.adapter;
+        adapter.onNetworkStatusChange && adapter.onNetworkStatusChange(this._onNetworkStatusChange);
+
+        // 回放上次没有提交成功的请求(例如小程序重新启动了)
+        // 延迟执行, 等待使用者完成初始化(例如 useAuth)
+        this.timer = null;
+        if (this.getItems().length > 0) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.replay();
+            }, 0);
+        }
+    }
+
+    /**
+     * 销毁离线队列, 取消监听网络状态的变化, 不再自动回放(保存的请求仍然保留在本地存储中)
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        var adapter = this.backendApi.adapter;
+        adapter.offNetworkStatusChange && adapter.offNetworkStatusChange(this._onNetworkStatusChange);
+    }
+
+    /**
+     * 获取离线队列中所有的请求
+     *
+     * @return {Array<object>} `{id, name, requestOptions, createdAt, expiresAt}`
+     */
+    getItems() {
+        return this.storage.get(this.options.STORAGE_KEY) || [];
+    }
+
+    _setItems(items) {
+        this.storage.set(this.options.STORAGE_KEY, items);
+    }
+
+    /**
+     * 请求失败后是否可以保存到离线队列中
+     *
+     * 只有因为网络不可用而发送失败的修改类请求才需要保存, 上传和下载文件的请求不能保存(文件路径在重新启动后就失效了)
+     *
+     * @param {object} requestOptions
+     * @param {object} requestResult
+     * @return {boolean}
+     */
+    isQueueable(requestOptions, requestResult) {
+        var result = requestResult.data || {};
+        var method = (requestOptions.method || 'GET').toUpperCase();
+
+        return result._errorType === 'A' &&
+               !this.backendApi._isCancelled(requestOptions) &&
+               (!requestOptions._type || requestOptions._type === 'request') &&
+               this.options.methods.indexOf(method) !== -1;
+    }
+
+    /**
+     * 将请求保存到离线队列中
+     *
+     * @param {object} requestOptions
+     * @return {object} 离线队列中的请求
+     */
+    add(requestOptions) {
+        var now = Date.now();
+        var item = {
+            id: now.toString(36) + Math.random().toString(36).slice(2, 8),
+            name: requestOptions._name,
+            requestOptions: this._serialize(requestOptions),
+            createdAt: now,
+            expiresAt: now + (requestOptions._offlineTtl || this.options.ttl)
+        };
+
+        var items = this.getItems();
+        items.push(item);
+        this._setItems(items);
+
+        this.backendApi.logger.info('请求已经保存到离线队列中', item);
+        this._emit('queued', item);
+        return item;
+    }
+
+    /**
+     * 从离线队列中移除请求
+     *
+     * @param {string} id
+     */
+    remove(id) {
+        this._setItems(this.getItems().filter(function(item) {
+            return item.id !== id;
+        }));
+    }
+
+    /**
+     * 清空离线队列
+     */
+    clear() {
+        this.storage.remove(this.options.STORAGE_KEY);
+    }
+
+    /**
+     * 监听离线队列中请求的处理结果
+     *
+     * @param {Function} listener `({type, item, requestResult})`
+     * @return {Function} 移除监听的方法
+     */
+    on(listener) {
+        this.listeners.push(listener);
+        return () => {
+            var index = this.listeners.indexOf(listener);
+            if (index != -1) {
+                this.listeners.splice(index, 1);
+            }
+        };
+    }
+
+    _emit(type, item, requestResult) {
+        this.listeners.slice().forEach((listener) => {
+            try {
+                listener({
+                    type: type,
+                    item: item,
+                    requestResult: requestResult
+                });
+            } catch (error) {
+                this.backendApi.logger.warn('处理离线队列的事件出错', type, item, error);
+            }
+        });
+    }
+
+    /**
+     * 按顺序回放离线队列中的请求
+     *
+     * 遇到仍然是网络不可用等暂时性的错误时停止回放, 等待下一次网络恢复
+     *
+     * @return {Promise}
+     */
+    replay() {
+        if (this.replaying) {
+            return this.replaying;
+        }
+
+        var next = () => {
+            var item = this.getItems()[0];
+            if (!item) {
+                return;
+            }
+
+            if (item.expiresAt < Date.now()) {
+                this.remove(item.id);
+                this._emit('expired', item);
+                return next();
+            }
+
+            return this.backendApi.$sendHttpRequest(this._getRequestOptions(item)).then((result) => {
+                this.remove(item.id);
+                this._emit('success', item, result[1]);
+                return next();
+            }, (requestResult) => {
+                if (this.options.isTransient.call(this.backendApi, requestResult)) {
+                    this.backendApi.logger.info('回放离线队列中的请求失败, 等待下一次回放', item, requestResult);
+                    return;
+                }
+
+                this.remove(item.id);
+                this._emit(this.options.isConflict.call(this.backendApi, requestResult) ? 'conflict' : 'fail', item, requestResult);
+                return next();
+            });
+        };
+
+        this.replaying = Promise.resolve().then(next).then(() => {
+            this.replaying = null;
+        }, (error) => {
+            this.replaying = null;
+            this.backendApi.logger.warn('回放离线队列中的请求出错', error);
+        });
+        return this.replaying;
+    }
+
+    /**
+     * 获取回放请求的参数, 回放时不显示 loading 和错误提示(由监听者来处理)
+     *
+     * @param {object} item
+     * @return {object}
+     */
+    _getRequestOptions(item) {
+        return extend(true, {}, item.requestOptions, {
+            _offline: false,
+            _showLoading: false,
+            _showFailTip: false,
+            _interceptDuplicateRequest: false
+        });
+    }
+
+    /**
+     * 只保存可以序列化的请求参数, 去掉发送请求过程中添加的参数
+     *
+     * @param {object} requestOptions
+     * @return {object}
+     */
+    _serialize(requestOptions) {
+        var options = {};
+        for (var key in requestOptions) {
+            if (OfflineQueue.RUNTIME_OPTIONS.indexOf(key) === -1 && typeof requestOptions[key] !== 'function') {
+                options[key] = requestOptions[key];
+            }
+        }
+        // 还原被 wx.request 改写过的 URL
+        options.url = requestOptions._url;
+
+        return JSON.parse(JSON.stringify(options));
+    }
+}
+
+/**
+ * 发送请求过程中添加的参数, 不需要保存
+ */
+OfflineQueue.RUNTIME_OPTIONS = [
+    '_url', '_canceler', '_cancelToken', '_timing', '_attempts', '_sampled', '_cacheHit',
+    '_authEpoch', '_authReplayed', '_apiNotFound', '_batchTask', '_encodedData', 'success', 'fail', 'complete'
+];
+
+export default OfflineQueue;
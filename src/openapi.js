@@ -0,0 +1,539 @@
+import fs from 'fs';
+import path from 'path';
+
+import Logger from 'simple-console-log-level';
+
+/**
+ * 将 OpenAPI 3 文档导入为接口配置(apiConfig), 并生成 TypeScript 的类型声明
+ *
+ * 只能在 Node.js 中使用, 例如在构建时将后端发布的 OpenAPI 文档转换成接口配置文件
+ *
+ * @example
+ * ```javascript
+ * import {loadOpenApi, openApiToApiConfig, openApiToTypings} from 'weapp-backend-api/src/openapi.js';
+ *
+ * var spec = await loadOpenApi('./openapi.yaml');
+ * fs.writeFileSync('./api-config.json', JSON.stringify(openApiToApiConfig(spec), null, 4));
+ * fs.writeFileSync('./api.d.ts', openApiToTypings(spec));
+ * ```
+ */
+
+var HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// 不能作为 namespace 名称的保留字(包括 TypeScript 内置的类型名称)
+var RESERVED_WORDS = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum',
+    'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null',
+    'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with',
+    'implements', 'interface', 'let', 'package', 'private', 'protected', 'public', 'static', 'yield', 'await',
+    'any', 'unknown', 'never', 'number', 'bigint', 'boolean', 'string', 'symbol', 'object', 'undefined'
+];
+
+/**
+ * 读取本地的 OpenAPI 文档(JSON 或者 YAML)
+ *
+ * YAML 格式的文档需要安装 js-yaml
+ *
+ * @param {string} file 文档的路径
+ * @return {Promise<object>} OpenAPI 文档
+ */
+function loadOpenApi(file) {
+    return fs.promises.readFile(file, 'utf8').then(function(content) {
+        var ext = path.extname(file).toLowerCase();
+        if (ext !== '.yaml' && ext !== '.yml') {
+            return JSON.parse(content);
+        }
+
+        return import('js-yaml').then(function(yaml) {
+            return (yaml.load || yaml.default.load)(content);
+        }, function(error) {
+            throw new Error('读取 YAML 格式的 OpenAPI 文档需要先安装 js-yaml: npm install js-yaml --save-dev (' + error.message + ')');
+        });
+    });
+}
+
+/**
+ * 转换成驼峰格式的标识符, 用于 namespace, 接口名和 path 参数名
+ *
+ * 例如: 'User Management' -> 'userManagement', 'user-id' -> 'userId'
+ *
+ * @param {string} str
+ * @return {string}
+ */
+function toIdentifier(str) {
+    var words = String(str).split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+    var identifier = words.map(function(word, index) {
+        return index === 0 ? word.charAt(0).toLowerCase() + word.slice(1)
+                           : word.charAt(0).toUpperCase() + word.slice(1);
+    }).join('');
+
+    if (/^[0-9]/.test(identifier)) {
+        identifier = '_' + identifier;
+    }
+    return identifier;
+}
+
+/**
+ * 解析文档内的引用($ref), 循环引用的 schema 解析为空的 schema
+ *
+ * @param {object} spec OpenAPI 文档
+ * @param {*} value 需要解析的值
+ * @param {Array<string>} [refs=[]] 正在解析的引用, 用于发现循环引用
+ * @return {*} 解析后的值
+ */
+function resolveRef(spec, value, refs = []) {
+    if (Array.isArray(value)) {
+        return value.map(function(item) {
+            return resolveRef(spec, item, refs);
+        });
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (typeof value.$ref === 'string') {
+        if (refs.indexOf(value.$ref) !== -1 || value.$ref.indexOf('#/') !== 0) { // 循环引用或者外部文档的引用
+            return {};
+        }
+
+        var target = value.$ref.slice(2).split('/').reduce(function(target, key) {
+            key = key.replace(/~1/g, '/').replace(/~0/g, '~');
+            return target ? target[key] : undefined;
+        }, spec);
+        return resolveRef(spec, target || {}, refs.concat(value.$ref));
+    }
+
+    var resolved = {};
+    for (var key in value) {
+        resolved[key] = resolveRef(spec, value[key], refs);
+    }
+    return resolved;
+}
+
+/**
+ * 获取文档中所有的接口(operation)
+ *
+ * @param {object} spec OpenAPI 文档
+ * @return {Array<object>} 接口的信息
+ */
+function getOperations(spec) {
+    var operations = [];
+    var paths = spec.paths || {};
+
+    Object.keys(paths).forEach(function(pathName) {
+        var pathItem = resolveRef(spec, paths[pathName]);
+
+        HTTP_METHODS.forEach(function(method) {
+            var operation = pathItem[method];
+            if (!operation) {
+                return;
+            }
+
+            // path 级别的参数可以被接口级别的同名参数覆盖
+            var parameters = {};
+            (pathItem.parameters || []).concat(operation.parameters || []).forEach(function(parameter) {
+                parameters[parameter.in + '.' + parameter.name] = parameter;
+            });
+
+            operations.push({
+                method: method.toUpperCase(),
+                path: pathName,
+                name: toIdentifier(operation.operationId || method + ' ' + pathName),
+                namespace: operation.tags && operation.tags.length > 0 ? toIdentifier(operation.tags[0]) : '',
+                operation: operation,
+                parameters: Object.keys(parameters).map(function(key) {
+                    return parameters[key];
+                })
+            });
+        });
+    });
+
+    return operations;
+}
+
+/**
+ * 获取接口的请求体
+ *
+ * @param {object} operation
+ * @return {object} {contentType, schema}
+ */
+function getRequestBody(operation) {
+    var content = operation.requestBody && operation.requestBody.content;
+    if (!content) {
+        return {};
+    }
+
+    var contentType = Object.keys(content)[0];
+    return {
+        contentType: contentType,
+        schema: content[contentType].schema
+    };
+}
+
+/**
+ * 获取接口成功时返回数据的 schema
+ *
+ * @param {object} operation
+ * @return {object}
+ */
+function getResponseSchema(operation) {
+    var responses = operation.responses || {};
+    var statusCodes = Object.keys(responses).filter(function(statusCode) {
+        return /^2/.test(statusCode);
+    }).sort();
+    var response = responses[statusCodes[0]] || responses['default'];
+
+    var content = response && response.content;
+    if (!content) {
+        return;
+    }
+
+    var contentType = Object.keys(content).filter(function(contentType) {
+        return contentType.indexOf('json') !== -1;
+    })[0] || Object.keys(content)[0];
+    return content[contentType].schema;
+}
+
+/**
+ * 获取标准接口数据格式中数据(data)的 schema, 即 `_successHandler` 返回的数据
+ *
+ * @param {object} schema 接口返回数据的 schema
+ * @return {object}
+ */
+function getDataSchema(schema) {
+    if (schema && schema.properties && schema.properties.data) {
+        return schema.properties.data;
+    }
+    return schema;
+}
+
+/**
+ * 获取接口的 URL, 将 OpenAPI 的 path 参数(`{id}`)转换成命名的 path 参数(`:id`)
+ *
+ * @param {string} baseUrl
+ * @param {string} pathName
+ * @return {string}
+ */
+function getUrl(baseUrl, pathName) {
+    return baseUrl.replace(/\/$/, '') + pathName.replace(/\{([^}]+)\}/g, function(placeholder, name) {
+        return ':' + toIdentifier(name);
+    });
+}
+
+/**
+ * 将 OpenAPI 文档转换成接口配置, 可以直接通过 `backendApi.addApiConfig(apiConfig)` 添加
+ *
+ * - 接口名为 operationId, namespace 为第一个 tag, 例如: `user.getUser`
+ * - 接口的 URL 中的 path 参数转换成命名的 path 参数, 例如: `/user/{id}` -> `/user/:id`
+ * - 有请求体的接口设置默认的 content-type
+ * - 请求数据(query 参数和请求体)的 schema 保存在 `_requestSchema` 中,
+ *   接口返回数据(标准接口数据格式中的 data)的 schema 保存在 `_responseSchema` 中, 用于校验数据
+ *
+ * @param {object} spec OpenAPI 文档
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] 接口的 base URL, 默认为文档中第一个 server 的 URL
+ * @param {object} [options.logger] 输出日志的 logger, 例如 `WeappBackendApi` 实例的 logger, 默认只输出 warn 级别以上的日志
+ * @return {object} 接口配置
+ */
+function openApiToApiConfig(spec, options = {}) {
+    var logger = options.logger || new Logger({
+        level: Logger.LEVEL_WARN,
+        prefix: '[backend-api]'
+    });
+    var baseUrl = typeof options.baseUrl === 'string' ? options.baseUrl :
+                  (spec.servers && spec.servers[0] ? spec.servers[0].url : '');
+    var apiConfig = {};
+
+    getOperations(spec).forEach(function(item) {
+        var operation = resolveRef(spec, item.operation);
+        var config = {
+            method: item.method,
+            url: getUrl(baseUrl, item.path)
+        };
+
+        var requestBody = getRequestBody(operation);
+        if (requestBody.contentType) {
+            config.header = {
+                'content-type': requestBody.contentType
+            };
+        }
+
+        var requestSchema = mergeDataSchema(parametersToSchema(resolveRef(spec, item.parameters), 'query'), requestBody.schema);
+        if (requestSchema) {
+            config._requestSchema = requestSchema;
+        }
+
+        var responseSchema = getDataSchema(getResponseSchema(operation));
+        if (responseSchema) {
+            config._responseSchema = responseSchema;
+        }
+
+        var name = item.namespace ? item.namespace + '.' + item.name : item.name;
+        if (apiConfig[name]) {
+            logger.warn('OpenAPI 文档中存在同名的接口, 后面的会覆盖前面的', name, item.method, item.path);
+        }
+        apiConfig[name] = config;
+    });
+
+    return apiConfig;
+}
+
+/**
+ * 转换成 TypeScript 的字符串字面量
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function toLiteral(value) {
+    return JSON.stringify(value);
+}
+
+/**
+ * 转换成类型声明中的 namespace 名称, 保留字前面加上 `_`, 例如: 'default' -> '_default'
+ *
+ * @param {string} namespace 接口名的 namespace
+ * @return {string}
+ */
+function toTypeNamespace(namespace) {
+    return RESERVED_WORDS.indexOf(namespace) != -1 ? '_' + namespace : namespace;
+}
+
+/**
+ * 转换成合法的属性名
+ *
+ * @param {string} name
+ * @return {string}
+ */
+function toPropertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : toLiteral(name);
+}
+
+/**
+ * 将 JSON schema 转换成 TypeScript 的类型
+ *
+ * @param {object} schema 已经解析过引用的 schema
+ * @param {string} [indent=''] 缩进
+ * @return {string}
+ */
+function schemaToType(schema, indent = '') {
+    if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+        return 'any';
+    }
+
+    var type;
+    if (schema.enum) {
+        type = schema.enum.map(toLiteral).join(' | ');
+    } else if (schema.oneOf || schema.anyOf) {
+        type = (schema.oneOf || schema.anyOf).map(function(item) {
+            return schemaToType(item, indent);
+        }).join(' | ');
+    } else if (schema.allOf) {
+        type = schema.allOf.map(function(item) {
+            return schemaToType(item, indent);
+        }).join(' & ');
+    } else if (schema.type === 'string') {
+        type = 'string';
+    } else if (schema.type === 'number' || schema.type === 'integer') {
+        type = 'number';
+    } else if (schema.type === 'boolean') {
+        type = 'boolean';
+    } else if (schema.type === 'array') {
+        type = 'Array<' + schemaToType(schema.items, indent) + '>';
+    } else if (schema.type === 'object' || schema.properties || schema.additionalProperties) {
+        type = objectSchemaToType(schema, indent);
+    } else {
+        type = 'any';
+    }
+
+    if (schema.nullable) {
+        type += ' | null';
+    }
+    return type;
+}
+
+/**
+ * 将 object 类型的 JSON schema 转换成 TypeScript 的类型
+ *
+ * @param {object} schema
+ * @param {string} indent
+ * @return {string}
+ */
+function objectSchemaToType(schema, indent) {
+    var properties = schema.properties || {};
+    var required = schema.required || [];
+    var innerIndent = indent + '    ';
+
+    var lines = Object.keys(properties).map(function(name) {
+        var property = properties[name];
+        var comment = property.description ? innerIndent + '/** ' + property.description + ' */\n' : '';
+        return comment + innerIndent + toPropertyName(name) + (required.indexOf(name) === -1 ? '?' : '') + ': ' +
+               schemaToType(property, innerIndent) + ';';
+    });
+
+    if (schema.additionalProperties) {
+        lines.push(innerIndent + '[key: string]: ' + schemaToType(schema.additionalProperties === true ? {} : schema.additionalProperties, innerIndent) + ';');
+    }
+
+    if (lines.length === 0) {
+        return '{ [key: string]: any }';
+    }
+    return '{\n' + lines.join('\n') + '\n' + indent + '}';
+}
+
+/**
+ * 将接口的参数转换成 object 类型的 JSON schema
+ *
+ * @param {Array<object>} parameters
+ * @param {string} location 参数的位置: `query` | `path`
+ * @return {object}
+ */
+function parametersToSchema(parameters, location) {
+    var schema = {
+        type: 'object',
+        properties: {},
+        required: []
+    };
+
+    parameters.filter(function(parameter) {
+        return parameter.in === location;
+    }).forEach(function(parameter) {
+        var name = location === 'path' ? toIdentifier(parameter.name) : parameter.name;
+        schema.properties[name] = extendSchema(parameter.schema, parameter.description);
+        if (parameter.required) {
+            schema.required.push(name);
+        }
+    });
+
+    return Object.keys(schema.properties).length > 0 ? schema : null;
+}
+
+/**
+ * 复制参数的 schema, 并带上参数的描述
+ *
+ * @param {object} schema
+ * @param {string} [description]
+ * @return {object}
+ */
+function extendSchema(schema, description) {
+    var _schema = {};
+    for (var key in schema) {
+        _schema[key] = schema[key];
+    }
+    if (description && !_schema.description) {
+        _schema.description = description;
+    }
+    return _schema;
+}
+
+/**
+ * 合并请求的 query 参数和请求体, 即 `requestOptions.data` 的类型
+ *
+ * @param {object} querySchema
+ * @param {object} bodySchema
+ * @return {object}
+ */
+function mergeDataSchema(querySchema, bodySchema) {
+    if (querySchema && bodySchema) {
+        return {
+            allOf: [querySchema, bodySchema]
+        };
+    }
+    return querySchema || bodySchema;
+}
+
+/**
+ * 根据 OpenAPI 文档生成 TypeScript 的类型声明(.d.ts)
+ *
+ * 为每个接口生成请求数据(`requestOptions.data`), path 参数(`requestOptions._params`)
+ * 和接口返回的数据(标准接口数据格式中的 data, 即 `_successHandler` 返回的数据)的类型,
+ * 以及 `backendApi.client` 的类型(`ApiClient`)
+ *
+ * @param {object} spec OpenAPI 文档
+ * @return {string} 类型声明的内容
+ */
+function openApiToTypings(spec) {
+    var namespaces = {};
+
+    getOperations(spec).forEach(function(item) {
+        var operation = resolveRef(spec, item.operation);
+        var parameters = resolveRef(spec, item.parameters);
+        var typeName = item.name.charAt(0).toUpperCase() + item.name.slice(1);
+
+        var dataSchema = mergeDataSchema(parametersToSchema(parameters, 'query'), getRequestBody(operation).schema);
+        var paramsSchema = parametersToSchema(parameters, 'path');
+        var resultSchema = getDataSchema(getResponseSchema(operation));
+
+        var declarations = [];
+        var comment = operation.summary || operation.description;
+        declarations.push('    /** ' + (comment ? comment + ' ' : '') + item.method + ' ' + item.path + ' */');
+        declarations.push('    export type ' + typeName + 'Data = ' + schemaToType(dataSchema, '    ') + ';');
+        declarations.push('    export type ' + typeName + 'Params = ' + (paramsSchema ? schemaToType(paramsSchema, '    ') : '{}') + ';');
+        declarations.push('    export type ' + typeName + 'Result = ' + schemaToType(resultSchema, '    ') + ';');
+
+        // 没有 tag 的接口放在空字符串下面, 不会与任何 tag 的 namespace 冲突
+        var namespace = item.namespace;
+        namespaces[namespace] = namespaces[namespace] || {
+            namespace: item.namespace,
+            declarations: [],
+            methods: []
+        };
+        namespaces[namespace].declarations.push(declarations.join('\n'));
+        namespaces[namespace].methods.push({
+            name: item.name,
+            typeName: typeName,
+            comment: comment
+        });
+    });
+
+    var lines = [
+        '// 由 weapp-backend-api 根据 OpenAPI 文档生成, 请不要手动修改',
+        '',
+        'export interface RequestOptions<D = any, P = any> {',
+        '    data?: D;',
+        '    _params?: P;',
+        '    [key: string]: any;',
+        '}',
+        '',
+        '/** sendRequest 返回的 Promise, 结果为 [接口返回的数据, 请求的结果] */',
+        'export interface ApiPromise<T> extends Promise<[T, any]> {',
+        '    onProgressUpdate(listener: (res: any) => void): ApiPromise<T>;',
+        '}',
+        ''
+    ];
+
+    var clientLines = ['export interface ApiClient {'];
+    Object.keys(namespaces).forEach(function(key) {
+        var namespace = namespaces[key];
+        // tag 的 namespace 首字母都转换成了小写, 因此没有 tag 的接口使用 Root 不会冲突
+        var typeNamespace = key ? toTypeNamespace(key) : 'Root';
+
+        lines.push('export namespace ' + typeNamespace + ' {');
+        lines.push(namespace.declarations.join('\n\n'));
+        lines.push('}');
+        lines.push('');
+
+        var indent = namespace.namespace ? '        ' : '    ';
+        if (namespace.namespace) {
+            clientLines.push('    ' + toPropertyName(namespace.namespace) + ': {');
+        }
+        namespace.methods.forEach(function(method) {
+            if (method.comment) {
+                clientLines.push(indent + '/** ' + method.comment + ' */');
+            }
+            var prefix = typeNamespace + '.' + method.typeName;
+            clientLines.push(indent + toPropertyName(method.name) + '(options?: RequestOptions<' + prefix + 'Data, ' + prefix + 'Params>): ApiPromise<' + prefix + 'Result>;');
+        });
+        if (namespace.namespace) {
+            clientLines.push('    };');
+        }
+    });
+    clientLines.push('}');
+
+    return lines.concat(clientLines).join('\n') + '\n';
+}
+
+export {
+    loadOpenApi,
+    openApiToApiConfig,
+    openApiToTypings
+};
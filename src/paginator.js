@@ -0,0 +1,224 @@
+import extend from 'extend';
+
+/**
+ * 分页加载列表数据
+ *
+ * 根据接口配置中的分页方式(`_pagination`)记录当前加载到的位置, 累加每一页的数据, 判断是否还有更多的数据
+ * - `page` 按页码分页, 例如: `{page: 1, pageSize: 20}`
+ * - `offset` 按偏移量分页, 例如: `{offset: 0, limit: 20}`
+ * - `cursor` 按游标分页, 下一页的游标由接口返回, 例如: `{cursor: 'abc', limit: 20}`
+ *
+ * 同时多次调用 `next()`(例如滚动到底部时连续触发)只会加载一次, 共享同一个请求的结果
+ */
+class Paginator {
+    /**
+     * @param {WeappBackendApi} backendApi
+     * @param {string} name 接口的名称
+     * @param {object} [options] 请求参数, 例如列表的筛选条件, 可以通过 `_pagination` 覆盖接口配置中的分页方式
+     * @param {string} [namespace] 接口名的 namespace
+     */
+    constructor(backendApi, name, options = {}, namespace = '') {
+        this.backendApi = backendApi;
+        this.name = name;
+        this.options = options;
+        this.namespace = namespace;
+
+        var requestOptions = backendApi._getRequestOptions(name, options, namespace);
+        this.pagination = extend({}, Paginator.defaults, requestOptions._pagination);
+
+        this._reset();
+    }
+
+    /**
+     * 重置分页的状态
+     */
+    _reset() {
+        // 累加的每一页的数据
+        this.items = [];
+        // 是否还有更多的数据
+        this.hasMore = true;
+        // 数据的总数, 接口返回了总数时才有
+        this.total = undefined;
+
+        // 下一页的页码/偏移量/游标
+        this.page = this.pagination.firstPage;
+        this.offset = 0;
+        this.cursor = undefined;
+
+        // 正在加载的请求(Promise)
+        this.loading = null;
+        // 已经加载过的每一页的缓存 key, 用于刷新时清除缓存
+        this.cacheKeys = [];
+        // 每次重置都会增加, 用于丢弃重置之前发出的请求的结果
+        this.epoch = (this.epoch || 0) + 1;
+    }
+
+    /**
+     * 加载下一页的数据
+     *
+     * @return {Promise} 成功时为 `[这一页的数据, requestResult]`, 没有更多的数据时为 `[[]]`
+     */
+    next() {
+        if (this.loading) {
+            return this.loading;
+        }
+        if (!this.hasMore) {
+            return Promise.resolve([[]]);
+        }
+
+        var epoch = this.epoch;
+        var requestOptions = this._getPageRequestOptions();
+        this.cacheKeys.push(this._getCacheKey(requestOptions));
+
+        var promise = this.backendApi.sendRequest(this.name, requestOptions, this.namespace).then((result) => {
+            var pageItems = this._getItems(result[0]);
+
+            if (epoch === this.epoch) {
+                this.loading = null;
+                this._update(result[0], pageItems);
+            }
+            return [pageItems, result[1]];
+        }, (requestResult) => {
+            if (epoch === this.epoch) {
+                this.loading = null;
+            }
+            return Promise.reject(requestResult);
+        });
+
+        this.loading = promise;
+        return promise;
+    }
+
+    /**
+     * 刷新(例如下拉刷新), 清除已经加载过的每一页的缓存数据, 重新加载第一页的数据
+     *
+     * 刷新之前还没有结束的请求的结果会被丢弃
+     *
+     * @return {Promise} 同 `next()`
+     */
+    refresh() {
+        var cacheKeys = this.cacheKeys;
+        this.backendApi._removeCache(function(cacheIndexItem, cacheKey) {
+            return cacheKeys.indexOf(cacheKey) !== -1;
+        });
+
+        this._reset();
+        return this.next();
+    }
+
+    /**
+     * 获取加载下一页的请求参数
+     *
+     * @return {object}
+     */
+    _getPageRequestOptions() {
+        var pagination = this.pagination;
+        var params = {};
+
+        if (pagination.type === 'offset') {
+            params[pagination.offsetParam] = this.offset;
+            params[pagination.limitParam] = pagination.pageSize;
+        } else if (pagination.type === 'cursor') {
+            if (typeof this.cursor !== 'undefined') {
+                params[pagination.cursorParam] = this.cursor;
+            }
+            params[pagination.limitParam] = pagination.pageSize;
+        } else {
+            params[pagination.pageParam] = this.page;
+            params[pagination.sizeParam] = pagination.pageSize;
+        }
+
+        return extend(true, {}, this.options, {
+            data: params,
+            _interceptDuplicateRequest: 'share'
+        });
+    }
+
+    /**
+     * 获取一页请求的缓存 key, 与发送请求时计算的一致
+     *
+     * @param {object} options
+     * @return {string}
+     */
+    _getCacheKey(options) {
+        var requestOptions = this.backendApi._getRequestOptions(this.name, options, this.namespace);
+        requestOptions._url = requestOptions.url;
+        return this.backendApi._getCacheKey(requestOptions);
+    }
+
+    /**
+     * 获取接口返回的一页数据中的列表
+     *
+     * @param {*} data 接口返回的数据(标准接口数据格式中的 data)
+     * @return {Array}
+     */
+    _getItems(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+        return data && Array.isArray(data[this.pagination.itemsField]) ? data[this.pagination.itemsField] : [];
+    }
+
+    /**
+     * 加载一页数据之后更新分页的状态
+     *
+     * @param {*} data 接口返回的数据
+     * @param {Array} pageItems 这一页的数据
+     */
+    _update(data, pageItems) {
+        var pagination = this.pagination;
+        data = data && !Array.isArray(data) ? data : {};
+
+        this.items = this.items.concat(pageItems);
+        this.page += 1;
+        this.offset += pageItems.length;
+
+        if (typeof data[pagination.totalField] === 'number') {
+            this.total = data[pagination.totalField];
+        }
+
+        // 优先使用接口返回的是否还有更多的数据, 其次根据游标/总数/这一页的数量来判断
+        if (typeof data[pagination.hasMoreField] === 'boolean') {
+            this.hasMore = data[pagination.hasMoreField];
+        } else if (pagination.type === 'cursor') {
+            this.hasMore = data[pagination.cursorField] !== null && typeof data[pagination.cursorField] !== 'undefined' &&
+                           data[pagination.cursorField] !== '';
+        } else if (typeof this.total === 'number') {
+            this.hasMore = this.items.length < this.total;
+        } else {
+            this.hasMore = pageItems.length >= pagination.pageSize;
+        }
+
+        if (pagination.type === 'cursor') {
+            this.cursor = data[pagination.cursorField];
+        }
+    }
+}
+
+/**
+ * 默认的分页方式, 可以在接口配置中通过 `_pagination` 来覆盖
+ */
+Paginator.defaults = {
+    // 分页的方式: `page` | `offset` | `cursor`
+    type: 'page',
+    // 每一页的数量
+    pageSize: 20,
+
+    // 按页码分页时的参数名和第一页的页码
+    pageParam: 'page',
+    sizeParam: 'pageSize',
+    firstPage: 1,
+    // 按偏移量分页时的参数名, 按游标分页时也使用 limitParam
+    offsetParam: 'offset',
+    limitParam: 'limit',
+    // 按游标分页时的参数名
+    cursorParam: 'cursor',
+
+    // 接口返回的数据中的字段: 列表, 总数, 是否还有更多的数据, 下一页的游标
+    itemsField: 'list',
+    totalField: 'total',
+    hasMoreField: 'hasMore',
+    cursorField: 'nextCursor'
+};
+
+export default Paginator;
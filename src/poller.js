@@ -0,0 +1,297 @@
+import extend from 'extend';
+
+/**
+ * 轮询接口, 直到接口返回的数据达到终止的状态(例如订单支付完成)
+ *
+ * - 每次请求结束后等待 `interval` 再发出下一次请求, 设置了 `factor` 时等待的时长按倍数增长(退避), 最长为 `maxInterval`
+ * - 长轮询(`longPolling`)的接口由服务端挂起请求直到有新的数据, 因此请求成功后立即发出下一次请求, 只在请求失败时等待
+ * - 小程序切换到后台时暂停轮询, 切换到前台时立即恢复
+ * - 轮询的请求不显示 loading 提示, 单次请求失败时不给用户提示错误消息, 继续轮询
+ * - 超出 `maxDuration` 时取消还没有结束的请求, 以错误码 `C108` 结束轮询
+ */
+class Poller {
+    /**
+     * @param {WeappBackendApi} backendApi
+     * @param {string} name 接口的名称
+     * @param {object} [options] 请求参数, 通过 `_poll` 设置轮询的配置, 参考 `Poller.defaults`
+     * @param {string} [namespace] 接口名的 namespace
+     * @param {CancelToken} cancelToken 停止轮询时用于取消还没有结束的请求
+     */
+    constructor(backendApi, name, options = {}, namespace = '', cancelToken) {
+        this.backendApi = backendApi;
+        this.name = name;
+        this.options = options;
+        this.namespace = namespace;
+        this.cancelToken = cancelToken;
+
+        this.requestOptions = backendApi._getRequestOptions(name, options, namespace);
+        this.pollOptions = extend({}, Poller.defaults, this.requestOptions._poll);
+
+        // 已经发出请求的次数
+        this.attempts = 0;
+        // 连续失败的次数, 用于计算退避的等待时长
+        this.failures = 0;
+        // 开始轮询的时间
+        this.startedAt = 0;
+        // 等待发出下一次请求的 timer
+        this.timer = null;
+        // 超出轮询时长(`maxDuration`)的 timer
+        this.deadlineTimer = null;
+        // 是否有还没有结束的请求
+        this.requesting = false;
+        // 是否暂停了(切换到后台)
+        this.paused = false;
+        // 是否已经结束了(达到终止的状态, 超时或者停止轮询)
+        this.stopped = false;
+
+        // 轮询的结果, 达到终止的状态时为 `[data, requestResult]`
+        this.promise = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+        // 避免没有处理停止轮询的错误时出现 unhandled rejection 的警告
+        this.promise.catch(function() {});
+
+        this._onAppHide = () => {
+            this.pause();
+        };
+        this._onAppShow = () => {
+            this.resume();
+        };
+    }
+
+    /**
+     * 开始轮询
+     *
+     * @return {Poller} this
+     */
+    start() {
+        var adapter = this.backendApi.adapter;
+        adapter.onAppHide && adapter.onAppHide(this._onAppHide);
+        adapter.onAppShow && adapter.onAppShow(this._onAppShow);
+
+        this.startedAt = Date.now();
+        // 到达轮询的时长时立即结束, 不需要等待还没有结束的请求
+        if (this.pollOptions.maxDuration > 0) {
+            this.deadlineTimer = setTimeout(() => {
+                this.deadlineTimer = null;
+                if (!this.stopped) {
+                    this._timeout(Date.now() - this.startedAt);
+                }
+            }, this.pollOptions.maxDuration);
+        }
+
+        this._poll();
+        return this;
+    }
+
+    /**
+     * 停止轮询, 还没有结束的请求会被取消, 轮询的结果以错误码 `C102` 拒绝
+     *
+     * @param {*} [reason] 停止的原因
+     */
+    stop(reason = '停止轮询') {
+        if (this.stopped) {
+            return;
+        }
+
+        this.cancelToken.cancel(reason);
+        this._finish(false, this.backendApi._getCancelResult({
+            _canceler: this.cancelToken
+        }));
+    }
+
+    /**
+     * 暂停轮询, 还没有结束的请求结束后不再发出下一次请求
+     */
+    pause() {
+        this.paused = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 恢复轮询, 立即发出下一次请求
+     */
+    resume() {
+        if (!this.paused) {
+            return;
+        }
+
+        this.paused = false;
+        if (!this.stopped && !this.requesting && !this.timer) {
+            this._poll();
+        }
+    }
+
+    /**
+     * 发出一次请求
+     */
+    _poll() {
+        if (this.stopped || this.paused) {
+            return;
+        }
+
+        var elapsed = Date.now() - this.startedAt;
+        if (this.pollOptions.maxDuration > 0 && elapsed >= this.pollOptions.maxDuration) {
+            this._timeout(elapsed);
+            return;
+        }
+
+        this.attempts += 1;
+        this.requesting = true;
+
+        this.backendApi.sendRequest(this.name, extend(true, {}, this.options, {
+            _showLoading: false,
+            _showFailTip: false,
+            _interceptDuplicateRequest: false,
+            _cacheStrategy: 'network-only',
+            _cancelToken: this.cancelToken
+        }), this.namespace).then((result) => {
+            this.requesting = false;
+            this.failures = 0;
+            if (this.stopped) {
+                return;
+            }
+
+            // 使用者的回调出错时结束轮询, 否则轮询既不会结束也不会继续
+            try {
+                var until = this.pollOptions.until;
+                if (!until || until(result[0], result[1])) {
+                    this._finish(true, result);
+                    return;
+                }
+
+                this.pollOptions.onData && this.pollOptions.onData(result[0], result[1]);
+            } catch (error) {
+                this.backendApi.logger.warn('处理轮询的数据出错', this.name, error);
+                this._finish(false, error);
+                return;
+            }
+
+            this._next(this.pollOptions.longPolling ? 0 : this._getInterval());
+        }, (requestResult) => {
+            this.requesting = false;
+            this.failures += 1;
+            if (this.stopped) {
+                return;
+            }
+
+            // 客户端错误(例如登录态失效, 接口不存在)不会因为重试而恢复, 直接结束轮询
+            if (requestResult && requestResult.data && requestResult.data._errorType === 'C') {
+                this._finish(false, requestResult);
+                return;
+            }
+
+            this.backendApi.logger.info('轮询的请求失败, 继续轮询', this.name, this.attempts, requestResult);
+            this._next(this._getInterval());
+        });
+    }
+
+    /**
+     * 等待一段时间后发出下一次请求
+     *
+     * @param {number} delay
+     */
+    _next(delay) {
+        if (this.paused) {
+            return;
+        }
+
+        // 不要等到超时之后才结束轮询
+        if (this.pollOptions.maxDuration > 0) {
+            delay = Math.min(delay, Math.max(0, this.startedAt + this.pollOptions.maxDuration - Date.now()));
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._poll();
+        }, delay);
+    }
+
+    /**
+     * 获取下一次请求前等待的时长, 失败时按 `factor` 退避
+     *
+     * @return {number}
+     */
+    _getInterval() {
+        var pollOptions = this.pollOptions;
+        var times = pollOptions.backoffOnSuccess ? this.attempts : this.failures;
+        var interval = pollOptions.interval * Math.pow(pollOptions.factor, Math.max(0, times - 1));
+        return Math.min(interval, pollOptions.maxInterval);
+    }
+
+    /**
+     * 超出轮询的时长, 取消还没有结束的请求, 以错误码 `C108` 结束轮询, 这时才给用户提示错误消息
+     *
+     * @param {number} elapsed 轮询的时长
+     */
+    _timeout(elapsed) {
+        var requestResult = this.backendApi._getPollTimeoutResult(this.requestOptions, {
+            name: this.requestOptions._name,
+            attempts: this.attempts,
+            elapsed: elapsed
+        });
+
+        this.stopped = true;
+        this._clearTimers();
+        this._removeListeners();
+        if (this.requesting) {
+            this.cancelToken.cancel('轮询超时');
+        }
+        this.backendApi.commonFailStatusHandler(this.requestOptions, requestResult).catch((requestResult) => {
+            this._reject(requestResult);
+        });
+    }
+
+    /**
+     * 结束轮询
+     *
+     * @param {boolean} success
+     * @param {*} result
+     */
+    _finish(success, result) {
+        this.stopped = true;
+        this._clearTimers();
+        this._removeListeners();
+
+        success ? this._resolve(result) : this._reject(result);
+    }
+
+    _clearTimers() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        clearTimeout(this.deadlineTimer);
+        this.deadlineTimer = null;
+    }
+
+    _removeListeners() {
+        var adapter = this.backendApi.adapter;
+        adapter.offAppHide && adapter.offAppHide(this._onAppHide);
+        adapter.offAppShow && adapter.offAppShow(this._onAppShow);
+    }
+}
+
+/**
+ * 默认的轮询配置, 可以在接口配置或者请求参数中通过 `_poll` 来覆盖
+ */
+Poller.defaults = {
+    // 终止轮询的条件 `(data, requestResult)`, 参数为接口返回的数据(标准接口数据格式中的 data), 返回 true 时结束轮询
+    until: null,
+    // 每次接口返回了还没有达到终止状态的数据时的回调 `(data, requestResult)`
+    onData: null,
+    // 两次请求之间等待的时长(ms)
+    interval: 2000,
+    // 等待的时长按倍数增长(退避), 默认为 1, 即固定的间隔
+    factor: 1,
+    // 请求成功时是否也退避, 默认只在请求失败时退避
+    backoffOnSuccess: false,
+    // 最长的等待时长(ms)
+    maxInterval: 30000,
+    // 最长的轮询时长(ms), 为 0 时不限制
+    maxDuration: 60000,
+    // 是否为长轮询的接口
+    longPolling: false
+};
+
+export default Poller;
@@ -0,0 +1,187 @@
+/**
+ * 简单的 JSON Schema 校验, 用于校验请求的数据和接口返回的数据
+ *
+ * 支持的关键字
+ * - type(可以是数组), nullable, enum, const
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems
+ * - minLength, maxLength, pattern
+ * - minimum, maximum
+ * - allOf, anyOf, oneOf
+ *
+ * @param {object} schema
+ * @param {*} value 需要校验的值
+ * @param {string} [path='data'] 值所在的路径, 用于在错误信息中指出出错的位置, 例如: `data.list[0].name`
+ * @return {Array<object>} 校验错误 `{path, message}`, 校验通过时为空数组
+ */
+function validateSchema(schema, value, path = 'data') {
+    var errors = [];
+    if (!schema || typeof schema !== 'object') {
+        return errors;
+    }
+
+    var error = function(message) {
+        errors.push({
+            path: path,
+            message: message
+        });
+        return errors;
+    };
+
+    if (value === null && schema.nullable) {
+        return errors;
+    }
+
+    if (schema.type) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        var matched = types.some(function(type) {
+            return isType(value, type);
+        });
+        if (!matched) {
+            return error('应该为 ' + types.join('/') + ' 类型, 实际为 ' + getType(value));
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(function(item) {
+        return isEqual(item, value);
+    })) {
+        error('应该为以下的值之一: ' + JSON.stringify(schema.enum));
+    }
+    if (schema.hasOwnProperty('const') && !isEqual(schema.const, value)) {
+        error('应该为 ' + JSON.stringify(schema.const));
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            error('长度不能小于 ' + schema.minLength);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            error('长度不能大于 ' + schema.maxLength);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error('不符合格式 ' + schema.pattern);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            error('不能小于 ' + schema.minimum);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            error('不能大于 ' + schema.maximum);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            error('至少要有 ' + schema.minItems + ' 项');
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            error('最多只能有 ' + schema.maxItems + ' 项');
+        }
+        if (schema.items) {
+            value.forEach(function(item, index) {
+                errors.push.apply(errors, validateSchema(schema.items, item, path + '[' + index + ']'));
+            });
+        }
+    } else if (value && typeof value === 'object') {
+        var properties = schema.properties || {};
+
+        (schema.required || []).forEach(function(name) {
+            if (typeof value[name] === 'undefined') {
+                errors.push({
+                    path: path + '.' + name,
+                    message: '缺少必填的字段'
+                });
+            }
+        });
+
+        Object.keys(value).forEach(function(name) {
+            if (properties.hasOwnProperty(name)) {
+                if (typeof value[name] !== 'undefined') {
+                    errors.push.apply(errors, validateSchema(properties[name], value[name], path + '.' + name));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push({
+                    path: path + '.' + name,
+                    message: '不允许有这个字段'
+                });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push.apply(errors, validateSchema(schema.additionalProperties, value[name], path + '.' + name));
+            }
+        });
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(function(item) {
+            errors.push.apply(errors, validateSchema(item, value, path));
+        });
+    }
+    if (schema.anyOf && !schema.anyOf.some(function(item) {
+        return validateSchema(item, value, path).length === 0;
+    })) {
+        error('不符合 anyOf 中的任何一个 schema');
+    }
+    if (schema.oneOf && schema.oneOf.filter(function(item) {
+        return validateSchema(item, value, path).length === 0;
+    }).length !== 1) {
+        error('应该只符合 oneOf 中的一个 schema');
+    }
+
+    return errors;
+}
+
+/**
+ * 值是否为 JSON Schema 中的类型
+ *
+ * @param {*} value
+ * @param {string} type
+ * @return {boolean}
+ */
+function isType(value, type) {
+    switch (type) {
+        case 'integer':
+            return typeof value === 'number' && value % 1 === 0;
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return !!value && typeof value === 'object' && !Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * 获取值在 JSON Schema 中的类型, 用于错误信息
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+/**
+ * 两个值是否相等(深比较)
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export {
+    validateSchema
+};
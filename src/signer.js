@@ -0,0 +1,350 @@
+import md5 from 'blueimp-md5';
+
+/**
+ * 请求签名器, 在请求真正发出之前(包括每一次重试)给请求加上时间戳, 随机数和签名
+ *
+ * - 签名的内容为规范化的请求(method, path, 按参数名排序的 query 和 body, 时间戳, 随机数), 参考 `canonicalize`
+ * - 签名的算法可以扩展(`RequestSigner.algorithms`), 也可以直接传入签名的方法
+ * - 签名放在 header 或者 query 中(`placement`)
+ * - 根据服务端返回的 `Date` header 校正本地时间的偏差
+ *
+ * 读取缓存和被拦截的重复请求不会发出请求, 因此也不会签名;
+ * 签名不会改变 `requestOptions._url` 和 `requestOptions.data`, 因此不影响 `_getRequestInfoHash`(缓存和拦截重复请求)
+ *
+ * @example
+ * ```javascript
+ * backendApi.useSigner(new BackendApi.RequestSigner({
+ *     secret: 'abc',
+ *     algorithm: 'hmac-sha256',
+ *     scope: 'order' // 只给 order namespace 下的接口签名
+ * }));
+ * ```
+ */
+class RequestSigner {
+    /**
+     * @param {object} options 参考 `RequestSigner.defaults`
+     * @param {string|Function} options.secret 签名的密钥, 也可以是获取密钥的方法 `(requestOptions)`
+     */
+    constructor(options) {
+        this.options = Object.assign({}, RequestSigner.defaults, options);
+        this.options.names = Object.assign({}, RequestSigner.defaults.names, options && options.names);
+
+        // 服务端时间与本地时间的偏差(ms)
+        this.clockOffset = 0;
+    }
+
+    /**
+     * 给请求签名, 会改写 `requestOptions.header` 或者 `requestOptions.url`
+     *
+     * @param {object} requestOptions
+     */
+    sign(requestOptions) {
+        var options = this.options;
+        var names = options.names;
+
+        var now = this.now();
+        var timestamp = options.timestampUnit === 'ms' ? now : Math.floor(now / 1000);
+        var nonce = this.createNonce();
+
+        var canonicalRequest = options.canonicalize.call(this, requestOptions, {
+            timestamp: timestamp,
+            nonce: nonce
+        });
+        var secret = typeof options.secret === 'function' ? options.secret(requestOptions) : options.secret;
+        var algorithm = typeof options.algorithm === 'function' ? options.algorithm : RequestSigner.algorithms[options.algorithm];
+        if (!algorithm) {
+            throw new Error('不支持的签名算法: ' + options.algorithm);
+        }
+        var signature = algorithm(canonicalRequest, secret);
+
+        var params = {};
+        params[names.timestamp] = timestamp;
+        params[names.nonce] = nonce;
+        params[names.signature] = signature;
+
+        if (options.placement === 'query') {
+            var query = Object.keys(params).map(function(name) {
+                return encodeURIComponent(name) + '=' + encodeURIComponent(params[name]);
+            }).join('&');
+            requestOptions.url += (requestOptions.url.indexOf('?') === -1 ? '?' : '&') + query;
+        } else {
+            requestOptions.header = Object.assign({}, requestOptions.header, params);
+        }
+    }
+
+    /**
+     * 校正后的当前时间(ms)
+     *
+     * @return {number}
+     */
+    now() {
+        return Date.now() + this.clockOffset;
+    }
+
+    /**
+     * 根据服务端返回的 `Date` header 校正本地时间的偏差
+     *
+     * `Date` header 只精确到秒, 因此偏差在 `clockSkewTolerance` 之内时不校正
+     *
+     * @param {object} requestResult 请求的结果
+     */
+    syncClock(requestResult) {
+        var header = requestResult && requestResult.header || {};
+        var date;
+        for (var name in header) {
+            if (name.toLowerCase() === 'date') {
+                date = header[name];
+            }
+        }
+
+        var serverTime = date ? Date.parse(date) : NaN;
+        if (isNaN(serverTime)) {
+            return;
+        }
+
+        var offset = serverTime - Date.now();
+        if (Math.abs(offset - this.clockOffset) > this.options.clockSkewTolerance) {
+            this.clockOffset = Math.abs(offset) > this.options.clockSkewTolerance ? offset : 0;
+        }
+    }
+
+    /**
+     * 生成随机数
+     *
+     * @return {string}
+     */
+    createNonce() {
+        var nonce = '';
+        while (nonce.length < this.options.nonceLength) {
+            nonce += Math.random().toString(36).slice(2);
+        }
+        return nonce.slice(0, this.options.nonceLength);
+    }
+}
+
+/**
+ * 将参数按参数名排序后序列化为 `a=1&b=2`, 对象类型的值序列化为 JSON
+ *
+ * @param {object} params
+ * @return {string}
+ */
+function toSortedQueryString(params) {
+    return Object.keys(params).filter(function(name) {
+        return typeof params[name] !== 'undefined';
+    }).sort().map(function(name) {
+        var value = params[name];
+        if (value !== null && typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+        return encodeURIComponent(name) + '=' + encodeURIComponent(value === null ? '' : value);
+    }).join('&');
+}
+
+/**
+ * 解析 query string
+ *
+ * @param {string} query
+ * @return {object}
+ */
+function parseQueryString(query) {
+    var params = {};
+    query.split('&').forEach(function(pair) {
+        if (pair) {
+            var index = pair.indexOf('=');
+            var name = index === -1 ? pair : pair.slice(0, index);
+            var value = index === -1 ? '' : pair.slice(index + 1);
+            params[decodeURIComponent(name)] = decodeURIComponent(value);
+        }
+    });
+    return params;
+}
+
+/**
+ * 默认的规范化请求, 每一行依次为:
+ *
+ * ```
+ * METHOD
+ * /path
+ * 按参数名排序的 query(包括 GET 请求的 data)
+ * 按参数名排序的 body(非 GET 请求的 data, 字符串类型的 data 保持原样)
+ * 时间戳
+ * 随机数
+ * ```
+ *
+ * @param {object} requestOptions
+ * @param {object} signInfo `{timestamp, nonce}`
+ * @return {string}
+ */
+function canonicalize(requestOptions, signInfo) {
+    var method = (requestOptions.method || 'GET').toUpperCase();
+    var url = requestOptions.url || '';
+
+    var queryIndex = url.indexOf('?');
+    var query = queryIndex === -1 ? {} : parseQueryString(url.slice(queryIndex + 1).split('#')[0]);
+    var path = (queryIndex === -1 ? url : url.slice(0, queryIndex)).replace(/^(\w+:)?\/\/[^/]*/, '') || '/';
+
+    var data = requestOptions.data;
+    var body = '';
+    if (method === 'GET') {
+        Object.assign(query, data && typeof data === 'object' ? data : {});
+    } else if (typeof data === 'string') {
+        body = data;
+    } else if (data && typeof data === 'object') {
+        body = toSortedQueryString(data);
+    }
+
+    return [method, path, toSortedQueryString(query), body, signInfo.timestamp, signInfo.nonce].join('\n');
+}
+
+/**
+ * 将字符串转换成 UTF-8 编码的字节
+ *
+ * @param {string} str
+ * @return {Array<number>}
+ */
+function toUtf8Bytes(str) {
+    var bytes = [];
+    var utf8 = unescape(encodeURIComponent(str));
+    for (var i = 0; i < utf8.length; i++) {
+        bytes.push(utf8.charCodeAt(i));
+    }
+    return bytes;
+}
+
+function toHex(bytes) {
+    return bytes.map(function(byte) {
+        return (byte < 16 ? '0' : '') + byte.toString(16);
+    }).join('');
+}
+
+var SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * SHA-256, 小程序中没有 crypto 模块, 因此需要自己实现
+ *
+ * @param {Array<number>} bytes
+ * @return {Array<number>}
+ */
+function sha256(bytes) {
+    var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var bitLength = bytes.length * 8;
+
+    var message = bytes.concat([0x80]);
+    while (message.length % 64 !== 56) {
+        message.push(0);
+    }
+    for (var i = 7; i >= 0; i--) {
+        message.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+    }
+
+    var rotr = function(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    };
+    var w = new Array(64);
+    for (var offset = 0; offset < message.length; offset += 64) {
+        for (var t = 0; t < 64; t++) {
+            if (t < 16) {
+                w[t] = (message[offset + t * 4] << 24) | (message[offset + t * 4 + 1] << 16) |
+                       (message[offset + t * 4 + 2] << 8) | message[offset + t * 4 + 3];
+            } else {
+                var s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                var s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+            }
+        }
+
+        var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+        for (t = 0; t < 64; t++) {
+            var t1 = (k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[t] + w[t]) | 0;
+            var t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            k = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        h = [(h[0] + a) | 0, (h[1] + b) | 0, (h[2] + c) | 0, (h[3] + d) | 0,
+             (h[4] + e) | 0, (h[5] + f) | 0, (h[6] + g) | 0, (h[7] + k) | 0];
+    }
+
+    var digest = [];
+    h.forEach(function(word) {
+        digest.push((word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+    });
+    return digest;
+}
+
+/**
+ * HMAC-SHA256
+ *
+ * @param {string} message
+ * @param {string} secret
+ * @return {string} 十六进制的签名
+ */
+function hmacSha256(message, secret) {
+    var key = toUtf8Bytes(secret);
+    if (key.length > 64) {
+        key = sha256(key);
+    }
+    while (key.length < 64) {
+        key.push(0);
+    }
+
+    var inner = key.map(function(byte) {
+        return byte ^ 0x36;
+    });
+    var outer = key.map(function(byte) {
+        return byte ^ 0x5c;
+    });
+    return toHex(sha256(outer.concat(sha256(inner.concat(toUtf8Bytes(message))))));
+}
+
+/**
+ * 签名的算法 `(canonicalRequest, secret)`, 返回签名, 可以添加其他的算法
+ */
+RequestSigner.algorithms = {
+    'hmac-sha256': hmacSha256,
+    'hmac-md5': function(message, secret) {
+        return md5(message, secret);
+    }
+};
+
+RequestSigner.defaults = {
+    // 签名的密钥, 也可以是获取密钥的方法 `(requestOptions)`
+    secret: '',
+    // 签名的算法, `RequestSigner.algorithms` 中的名称, 也可以是签名的方法 `(canonicalRequest, secret)`
+    algorithm: 'hmac-sha256',
+    // 签名放在 `header` 或者 `query` 中
+    placement: 'header',
+    // 时间戳, 随机数和签名的 header 名或者参数名
+    names: {
+        timestamp: 'X-Timestamp',
+        nonce: 'X-Nonce',
+        signature: 'X-Signature'
+    },
+    // 时间戳的单位: `s` | `ms`
+    timestampUnit: 's',
+    // 随机数的长度
+    nonceLength: 16,
+    // 本地时间与服务端时间的偏差在这个范围(ms)之内时不校正
+    clockSkewTolerance: 1000,
+    // 生成规范化的请求 `(requestOptions, {timestamp, nonce})`
+    canonicalize: canonicalize,
+    // 需要签名的接口名或者 namespace, 没有设置时给所有的接口签名, 参考中间件的 scope
+    scope: undefined
+};
+
+export default RequestSigner;
@@ -0,0 +1,550 @@
+import extend from 'extend';
+
+/**
+ * WebSocket 通道, 与 HTTP 接口一样配置在 apiConfig 中(`_type: 'socket'`), 通过 `backendApi.channel(name)` 获取
+ *
+ * - 收发的消息为 JSON 格式, 例如: `{type: 'chat', data: {...}}`
+ * - `send(type, data)` 发送消息, 还没有连接时先连接, 连接成功后再发送
+ * - `request(type, data)` 发送带 id 的消息, 等待服务端回复相同 id 的消息(标准接口数据格式), 与 sendRequest 一样返回 `[data, result]`
+ * - `on(type, listener)` 订阅某种类型的消息, `*` 订阅所有的消息
+ * - 定时发送心跳消息, 超时没有收到任何消息时认为连接已经断开
+ * - 连接意外断开时按退避的策略自动重连
+ *
+ * 错误同样使用 A/H/B/C 的错误码, 并交给 `commonFailStatusHandler`(`failStatusHandler`/错误提示) 处理
+ * - A 连接失败或者发送消息失败, 等待回复超时
+ * - H 连接意外关闭, 错误码为关闭的 code, 例如: `H1006`
+ * - B 回复的消息为业务错误
+ * - C 通道没有配置(`C105`)或者主动关闭了(`C102`)
+ */
+class SocketChannel {
+    /**
+     * @param {WeappBackendApi} backendApi
+     * @param {object} requestOptions 通道的配置(接口配置与请求参数合并之后的), 通过 `_socket` 覆盖默认的配置
+     * @param {object} defaults `WeappBackendApi.defaults`, 通道默认的配置参考 `WeappBackendApi.defaults.socket`
+     */
+    constructor(backendApi, requestOptions, defaults) {
+        this.backendApi = backendApi;
+        this.requestOptions = requestOptions;
+        this.defaults = defaults;
+        this.options = extend(true, {}, defaults.socket, requestOptions._socket);
+
+        // 连接的状态: idle | connecting | open | reconnecting | closed
+        this.state = 'idle';
+        // 当前连接的 SocketTask
+        this.task = null;
+        // 正在连接(Promise)
+        this.connecting = null;
+        // 连接成功之前发送的消息, 连接成功后再发送
+        this.outbox = [];
+        // 等待回复的请求, key 为消息的 id
+        this.pendingRequests = {};
+        // 订阅消息的监听者, key 为消息的类型
+        this.listeners = {};
+        // 连接状态变化的监听者
+        this.stateListeners = [];
+
+        // 重连的次数
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        // 心跳的 timer 和最后一次收到消息的时间
+        this.heartbeatTimer = null;
+        this.lastMessageAt = 0;
+        // 消息 id 的序号
+        this.sequence = 0;
+    }
+
+    /**
+     * 连接
+     *
+     * @return {Promise} 连接成功时 resolve, 连接失败时以 A/H 类型的错误拒绝(之后仍然会自动重连)
+     */
+    connect() {
+        var requestOptions = this.requestOptions;
+        if (!this._isAvailable()) {
+            return this._unavailableFailHandler(requestOptions);
+        }
+
+        return this._connect().catch((requestResult) => {
+            return this.backendApi.commonFailStatusHandler(requestOptions, requestResult);
+        });
+    }
+
+    /**
+     * 通道是否可用, 没有找到通道的配置或者平台不支持 WebSocket 时不可用
+     *
+     * @return {boolean}
+     */
+    _isAvailable() {
+        return !this.requestOptions._apiNotFound && !!this.backendApi.adapter.connectSocket;
+    }
+
+    /**
+     * 通道不可用时以错误码 `C105` 拒绝(只处理一次错误, 例如只给用户提示一次错误消息)
+     *
+     * @param {object} requestOptions
+     * @return {Promise}
+     */
+    _unavailableFailHandler(requestOptions) {
+        return this.backendApi._clientFailHandler(requestOptions, this.defaults.API_NOT_FOUND_STATUS, {
+            name: requestOptions._name,
+            type: 'socket'
+        });
+    }
+
+    /**
+     * 连接, 失败时不做错误处理(自动重连时静默失败, 只在放弃重连时处理错误)
+     *
+     * @return {Promise}
+     */
+    _connect() {
+        if (this.state === 'open') {
+            return Promise.resolve();
+        }
+        if (this.connecting) {
+            return this.connecting;
+        }
+
+        var requestOptions = this.requestOptions;
+        clearTimeout(this.reconnectTimer);
+        this._setState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        var failed = false;
+        var connecting = new Promise((resolve, reject) => {
+            var opened = false;
+            var task = null;
+            // 在连接之前准备好失败的处理, 因为 connectSocket 可能会同步回调 fail(此时还没有 task)
+            var onFail = (requestResult) => {
+                if (opened || failed || (task && task !== this.task)) {
+                    return;
+                }
+
+                failed = true;
+                this.connecting = null;
+                this.task = null;
+                this._scheduleReconnect(requestResult);
+                reject(requestResult);
+            };
+
+            task = this.backendApi.adapter.connectSocket({
+                url: requestOptions.url,
+                header: requestOptions.header,
+                protocols: this.options.protocols,
+                timeout: requestOptions.timeout,
+                fail: (res) => {
+                    onFail(this._getApiFailResult(res));
+                }
+            });
+            if (failed) {
+                return;
+            }
+            this.task = task;
+
+            task.onOpen(() => {
+                if (task !== this.task) {
+                    return;
+                }
+
+                opened = true;
+                this.connecting = null;
+                this.reconnectAttempts = 0;
+                this.lastMessageAt = Date.now();
+                this._setState('open');
+                this.backendApi.logger.log('WebSocket 连接成功', requestOptions._name, requestOptions.url);
+
+                this._startHeartbeat();
+                this.outbox.splice(0, this.outbox.length).forEach((message) => {
+                    this._send(message);
+                });
+                resolve();
+            });
+            task.onMessage((res) => {
+                if (task === this.task) {
+                    this._onMessage(res.data);
+                }
+            });
+            task.onError((res) => {
+                onFail(this._getApiFailResult(res));
+            });
+            task.onClose((res) => {
+                if (task !== this.task) {
+                    return;
+                }
+
+                if (!opened) {
+                    onFail(this._getCloseResult(res));
+                } else {
+                    this._onUnexpectedClose(res);
+                }
+            });
+        });
+
+        // 同步失败时已经结束了这次连接, 不能再作为正在进行中的连接
+        if (!failed) {
+            this.connecting = connecting;
+        }
+        return connecting;
+    }
+
+    /**
+     * 主动关闭连接, 不再自动重连, 等待回复的请求会以错误码 `C102` 拒绝
+     *
+     * @param {*} [reason] 关闭的原因
+     */
+    close(reason = '关闭 WebSocket 连接') {
+        var task = this.task;
+        this.task = null;
+        this.connecting = null;
+        this.outbox = [];
+        clearTimeout(this.reconnectTimer);
+        this._stopHeartbeat();
+        this._setState('closed');
+
+        if (task) {
+            task.close({
+                code: SocketChannel.CLOSE_NORMAL,
+                reason: String(reason)
+            });
+        }
+
+        this._rejectPendingRequests(this.backendApi._getCancelResult({
+            _canceler: {
+                reason: reason
+            }
+        }), true);
+    }
+
+    /**
+     * 发送消息, 还没有连接时先连接
+     *
+     * @param {string} type 消息的类型
+     * @param {*} [data] 消息的数据
+     * @return {SocketChannel} this
+     */
+    send(type, data) {
+        var message = {};
+        message[this.options.typeField] = type;
+        message[this.options.dataField] = data;
+        this._sendOrQueue(message);
+        return this;
+    }
+
+    /**
+     * 发送需要回复的消息, 服务端回复的消息需要带上相同的 id, 数据为标准的接口数据格式
+     *
+     * @param {string} type 消息的类型
+     * @param {*} [data] 消息的数据
+     * @param {object} [options]
+     * @param {number} [options.timeout] 等待回复的时长(ms), 超时时以 A 类型的错误拒绝
+     * @param {boolean} [options._showFailTip] 出错时是否给用户提示错误消息
+     * @return {Promise} 成功时为 `[data, result]`
+     */
+    request(type, data, options = {}) {
+        var id = String(++this.sequence);
+        var message = {};
+        message[this.options.idField] = id;
+        message[this.options.typeField] = type;
+        message[this.options.dataField] = data;
+
+        var requestOptions = extend({}, this.requestOptions, options, {
+            data: message
+        });
+
+        // 通道不可用时直接失败, 不再放到待发送的消息中等待回复超时(否则会处理两次错误)
+        if (!this._isAvailable()) {
+            return this._unavailableFailHandler(requestOptions);
+        }
+
+        var promise = new Promise((resolve, reject) => {
+            var timer = setTimeout(() => {
+                delete this.pendingRequests[id];
+                reject(this._getApiFailResult({
+                    errMsg: 'timeout'
+                }));
+            }, options.timeout || this.options.requestTimeout);
+
+            this.pendingRequests[id] = {
+                requestOptions: requestOptions,
+                resolve: resolve,
+                reject: reject,
+                timer: timer
+            };
+        }).then((requestResult) => {
+            this.backendApi._normalizeRequestResult(requestOptions, requestResult);
+            var result = requestResult.data;
+
+            if (this.backendApi._ifApiSuccess(requestOptions, requestResult)) {
+                return [result ? result.data : result, requestResult];
+            }
+
+            if (!result) {
+                requestResult.data = result = {};
+            }
+            result._errorType = 'B';
+            return Promise.reject(requestResult);
+        }).catch((requestResult) => {
+            if (requestResult && requestResult.cancelled) {
+                return Promise.reject(requestResult.requestResult);
+            }
+            return this.backendApi.commonFailStatusHandler(requestOptions, requestResult);
+        });
+
+        this._sendOrQueue(message);
+        return promise;
+    }
+
+    /**
+     * 订阅某种类型的消息
+     *
+     * @param {string} type 消息的类型, `*` 为所有的消息
+     * @param {Function} listener `(data, message)`
+     * @return {Function} 取消订阅的方法
+     */
+    on(type, listener) {
+        var listeners = this.listeners[type] = this.listeners[type] || [];
+        listeners.push(listener);
+
+        return function() {
+            var index = listeners.indexOf(listener);
+            if (index != -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * 监听连接状态的变化
+     *
+     * @param {Function} listener `(state, detail)`
+     * @return {Function} 取消监听的方法
+     */
+    onStateChange(listener) {
+        this.stateListeners.push(listener);
+
+        return () => {
+            var index = this.stateListeners.indexOf(listener);
+            if (index != -1) {
+                this.stateListeners.splice(index, 1);
+            }
+        };
+    }
+
+    _setState(state, detail) {
+        if (this.state === state) {
+            return;
+        }
+
+        this.state = state;
+        this.stateListeners.slice().forEach((listener) => {
+            try {
+                listener(state, detail);
+            } catch (error) {
+                this.backendApi.logger.warn('处理 WebSocket 连接状态的变化出错', state, error);
+            }
+        });
+    }
+
+    _sendOrQueue(message) {
+        if (this.state === 'open') {
+            this._send(message);
+            return;
+        }
+
+        this.outbox.push(message);
+        if (this.state === 'idle' || this.state === 'closed') {
+            // 连接失败会自动重连, 发送的消息会一直等到连接成功
+            (this._isAvailable() ? this._connect() : this.connect()).catch(function() {});
+        }
+    }
+
+    _send(message) {
+        var id = message[this.options.idField];
+
+        this.backendApi.logger.log('WebSocket 发送消息', this.requestOptions._name, message);
+        this.task.send({
+            data: JSON.stringify(message),
+            fail: (res) => {
+                this.backendApi.logger.warn('WebSocket 发送消息失败', this.requestOptions._name, message, res);
+                var pendingRequest = this.pendingRequests[id];
+                if (pendingRequest) {
+                    this._settle(id, false, this._getApiFailResult(res));
+                }
+            }
+        });
+    }
+
+    /**
+     * 收到消息, 有 id 并且是等待回复的请求时交给请求处理, 否则通知订阅了这种类型消息的监听者
+     *
+     * @param {string|ArrayBuffer} data
+     */
+    _onMessage(data) {
+        this.lastMessageAt = Date.now();
+
+        var message = data;
+        if (typeof data === 'string') {
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this.backendApi.logger.warn('解析 WebSocket 消息出错', this.requestOptions._name, data);
+            }
+        }
+
+        var id = message && message[this.options.idField];
+        if (typeof id !== 'undefined' && this.pendingRequests[id]) {
+            this._settle(id, true, {
+                data: message
+            });
+            return;
+        }
+
+        var type = message && message[this.options.typeField];
+        var listeners = (this.listeners[type] || []).concat(this.listeners['*'] || []);
+        listeners.forEach((listener) => {
+            try {
+                listener(message && typeof message === 'object' ? message[this.options.dataField] : message, message);
+            } catch (error) {
+                this.backendApi.logger.warn('处理 WebSocket 消息出错', type, message, error);
+            }
+        });
+    }
+
+    _settle(id, success, requestResult) {
+        var pendingRequest = this.pendingRequests[id];
+        delete this.pendingRequests[id];
+        clearTimeout(pendingRequest.timer);
+
+        success ? pendingRequest.resolve(requestResult) : pendingRequest.reject(requestResult);
+    }
+
+    /**
+     * 拒绝所有等待回复的请求
+     *
+     * @param {object} requestResult
+     * @param {boolean} [cancelled=false] 是否为主动取消的, 主动取消的不给用户提示错误消息
+     */
+    _rejectPendingRequests(requestResult, cancelled = false) {
+        Object.keys(this.pendingRequests).forEach((id) => {
+            var result = extend(true, {}, requestResult);
+            this._settle(id, false, cancelled ? {
+                cancelled: true,
+                requestResult: result
+            } : result);
+        });
+    }
+
+    /**
+     * 连接意外断开, 拒绝等待回复的请求, 再自动重连
+     *
+     * @param {object} res `{code, reason}`
+     */
+    _onUnexpectedClose(res) {
+        var requestResult = this._getCloseResult(res);
+        this.backendApi.logger.warn('WebSocket 连接断开', this.requestOptions._name, res);
+
+        this.task = null;
+        this._stopHeartbeat();
+        this._rejectPendingRequests(requestResult);
+        this._scheduleReconnect(requestResult);
+    }
+
+    /**
+     * 按退避的策略自动重连, 超出重连的次数时不再重连, 交给 `commonFailStatusHandler` 处理最后一次的错误
+     *
+     * @param {object} requestResult 连接失败的结果
+     */
+    _scheduleReconnect(requestResult) {
+        var reconnect = this.options.reconnect;
+        this._stopHeartbeat();
+
+        if (this.state === 'closed') {
+            return;
+        }
+        if (!reconnect || this.reconnectAttempts >= reconnect.maxAttempts) {
+            this._setState('closed', requestResult);
+            if (this.reconnectAttempts > 0) {
+                this.backendApi.commonFailStatusHandler(this.requestOptions, requestResult).catch(function() {});
+            }
+            return;
+        }
+
+        var delay = Math.min(reconnect.delay * Math.pow(reconnect.factor, this.reconnectAttempts), reconnect.maxDelay);
+        this.reconnectAttempts += 1;
+        this._setState('reconnecting', requestResult);
+        this.backendApi.logger.info(`WebSocket ${delay}ms 后第 ${this.reconnectAttempts} 次重连`, this.requestOptions._name);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            // 静默重连, 失败时不给用户提示错误消息, 只在放弃重连时提示
+            this.connecting = null;
+            this._connect().catch(function() {});
+        }, delay);
+    }
+
+    /**
+     * 定时发送心跳消息, 超时没有收到任何消息时关闭连接并重连
+     */
+    _startHeartbeat() {
+        var heartbeat = this.options.heartbeat;
+        this._stopHeartbeat();
+        if (!heartbeat || !(heartbeat.interval > 0)) {
+            return;
+        }
+
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > heartbeat.interval + heartbeat.timeout) {
+                var task = this.task;
+                this._onUnexpectedClose({
+                    code: SocketChannel.CLOSE_HEARTBEAT_TIMEOUT,
+                    reason: 'heartbeat timeout'
+                });
+                task && task.close({
+                    code: SocketChannel.CLOSE_NORMAL
+                });
+                return;
+            }
+
+            this._send(extend(true, {}, heartbeat.message));
+        }, heartbeat.interval);
+    }
+
+    _stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * 连接失败或者发送消息失败的结果(A 类型的错误)
+     *
+     * @param {object} res `{errMsg}`
+     * @return {object}
+     */
+    _getApiFailResult(res = {}) {
+        // 统一为 wx.request 的 errMsg 格式, 与 HTTP 接口的错误码保持一致
+        var errMsg = String(res.errMsg || '').replace(/^\w+:fail ?/, '');
+        return this.backendApi._getFailResult(this.requestOptions, {
+            errMsg: 'request:fail ' + errMsg
+        });
+    }
+
+    /**
+     * 连接关闭的结果(H 类型的错误)
+     *
+     * @param {object} res `{code, reason}`
+     * @return {object}
+     */
+    _getCloseResult(res = {}) {
+        return this.backendApi._getFailResult(this.requestOptions, {
+            statusCode: res.code || SocketChannel.CLOSE_ABNORMAL,
+            reason: res.reason
+        });
+    }
+}
+
+// 正常关闭
+SocketChannel.CLOSE_NORMAL = 1000;
+// 没有收到关闭帧就断开了
+SocketChannel.CLOSE_ABNORMAL = 1006;
+// 心跳超时(自定义的 code)
+SocketChannel.CLOSE_HEARTBEAT_TIMEOUT = 4000;
+
+export default SocketChannel;
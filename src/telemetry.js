@@ -0,0 +1,176 @@
+/**
+ * 请求的监控数据上报器, 收集每个请求的监控数据(耗时, 缓存命中, 重试次数, 错误码), 批量上报
+ *
+ * - 按采样率(`sampleRate`)决定是否收集一个请求的监控数据
+ * - 收集的数据达到 `batchSize` 条, 每隔 `flushInterval` 或者小程序切换到后台(`onAppHide`)时上报
+ * - 上报前去掉请求数据(`requestOptions.data`)中的敏感字段
+ *
+ * @example
+ * ```javascript
+ * var reporter = new BackendApi.TelemetryReporter({
+ *     send: function(samples) {
+ *         return backendApi.sendRequest('reportTelemetry', {
+ *             method: 'POST',
+ *             data: {
+ *                 samples: samples
+ *             },
+ *             _telemetry: false, // 上报的请求本身不需要收集
+ *             _showLoading: false,
+ *             _showFailTip: false
+ *         });
+ *     },
+ *     sampleRate: 0.1
+ * });
+ * backendApi.useTelemetry(reporter);
+ * ```
+ */
+class TelemetryReporter {
+    /**
+     * @param {object} options 参考 `TelemetryReporter.defaults`
+     * @param {Function} options.send 上报监控数据的方法 `(samples)`, 可以返回 Promise
+     */
+    constructor(options) {
+        this.options = Object.assign({}, TelemetryReporter.defaults, options);
+
+        // 等待上报的监控数据
+        this.samples = [];
+        // 定时上报的 timer
+        this.timer = null;
+        // 输出日志, 由 start 传入使用者的 logger
+        this.logger = null;
+    }
+
+    /**
+     * 开始定时上报, 并在切换到后台时上报
+     *
+     * @param {object} [adapter] 平台的适配器, 用于监听切换到后台的事件
+     * @param {object} [logger] 输出日志的 logger, 例如 `WeappBackendApi` 实例的 logger
+     */
+    start(adapter, logger) {
+        this.stop();
+        this.logger = logger || null;
+
+        if (this.options.flushInterval > 0) {
+            this.timer = setInterval(() => {
+                this.flush();
+            }, this.options.flushInterval);
+            // Node.js 中不要因为定时上报而阻止进程结束
+            this.timer.unref && this.timer.unref();
+        }
+
+        if (adapter && adapter.onAppHide && !this._appHideListener) {
+            this._appHideListener = () => {
+                this.flush();
+            };
+            adapter.onAppHide(this._appHideListener);
+        }
+    }
+
+    /**
+     * 停止定时上报
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 是否收集这个请求的监控数据(采样)
+     *
+     * @return {boolean}
+     */
+    isSampled() {
+        return Math.random() < this.options.sampleRate;
+    }
+
+    /**
+     * 收集一个请求的监控数据
+     *
+     * @param {object} sample 请求的监控数据
+     */
+    report(sample) {
+        if (sample.data) {
+            sample.data = this.strip(sample.data);
+        }
+
+        this.samples.push(sample);
+        // 避免一直上报不出去时占用过多的内存, 丢弃最早的数据
+        if (this.samples.length > this.options.maxSamples) {
+            this.samples.splice(0, this.samples.length - this.options.maxSamples);
+        }
+
+        if (this.samples.length >= this.options.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * 上报收集到的监控数据
+     *
+     * @return {Promise}
+     */
+    flush() {
+        if (this.samples.length === 0) {
+            return Promise.resolve();
+        }
+
+        var samples = this.samples.splice(0, this.samples.length);
+        return Promise.resolve().then(() => {
+            return this.options.send(samples);
+        }).catch((error) => {
+            // 上报失败时直接丢弃, 不能影响正常的业务
+            if (this.logger) {
+                this.logger.warn('上报监控数据失败', error);
+            }
+        });
+    }
+
+    /**
+     * 去掉数据中的敏感字段(不区分大小写), 返回去掉之后的副本
+     *
+     * @param {*} data
+     * @return {*}
+     */
+    strip(data) {
+        var sensitiveFields = this.options.sensitiveFields.map(function(field) {
+            return field.toLowerCase();
+        });
+
+        var _strip = function(value) {
+            if (Array.isArray(value)) {
+                return value.map(_strip);
+            }
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+
+            var stripped = {};
+            for (var key in value) {
+                stripped[key] = sensitiveFields.indexOf(key.toLowerCase()) !== -1 ? TelemetryReporter.defaults.MASK : _strip(value[key]);
+            }
+            return stripped;
+        };
+
+        return _strip(data);
+    }
+}
+
+TelemetryReporter.defaults = {
+    // 敏感字段替换成的值
+    MASK: '***',
+
+    // 采样率(0~1)
+    sampleRate: 1,
+    // 收集到多少条数据时上报
+    batchSize: 20,
+    // 定时上报的间隔(ms), 为 0 时不定时上报
+    flushInterval: 30000,
+    // 最多保存多少条还没有上报的数据
+    maxSamples: 200,
+    // 需要去掉的请求数据中的敏感字段
+    sensitiveFields: ['password', 'token', 'secret', 'ticket', 'code', 'phone', 'mobile', 'idCard']
+};
+
+export default TelemetryReporter;
@@ -2,7 +2,17 @@ import extend from 'extend';
 import md5 from 'blueimp-md5';
 import Logger from 'simple-console-log-level';
 
-import SimpleStorage from 'weapp-simple-storage';
+import {validateSchema} from './schema.js';
+import TelemetryReporter from './telemetry.js';
+import RequestSigner from './signer.js';
+import OfflineQueue from './offline-queue.js';
+import Paginator from './paginator.js';
+import Poller from './poller.js';
+import SocketChannel from './socket-channel.js';
+import weappAdapter from './adapters/weapp.js';
+import alipayAdapter from './adapters/alipay.js';
+import toutiaoAdapter from './adapters/toutiao.js';
+import swanAdapter from './adapters/swan.js';
 
 /**
  * 统一封装后端接口的调用
@@ -16,7 +26,7 @@ import SimpleStorage from 'weapp-simple-storage';
  * 
  * 此类是抽象类, 其他平台继承此类来实现具体发送请求的功能
  * 例如:
- * BackendApi -> WeappBackendApi(微信小程序平台的封装)
+ * BackendApi -> WeappBackendApi(小程序平台的封装, 通过适配器支持微信/支付宝/字节跳动/百度小程序和 Node.js)
  *            -> Web$BackendApi(Web平台, 基于jQuery/Zepto的封装)
  */
 class BackendApi {
@@ -38,8 +48,7 @@ class BackendApi {
      *        ```
      * @param {object} defaultRequestOptions 默认的请求参数
      * @param {number} loggerLevel 日志级别, 默认为 Logger.LEVEL_WARN 级别
-     *                 TODO: 如果微信小程序支持获取当前运行的版本(开发版/体验版/线上版),
-     *                 那么日志级别的默认值可以根据运行的版本来判断, 非线上版本自动为 TRACE 级别
+     *                 (WeappBackendApi 会根据小程序运行的版本来判断, 非线上版本为 TRACE 级别)
      */
     constructor(apiConfig = {}, defaultRequestOptions = {}, loggerLevel = Logger.LEVEL_WARN) {
         this.apiConfig = apiConfig;
@@ -48,15 +57,24 @@ class BackendApi {
         // 正在发送的请求
         this.sending = {};
 
-        // 是否在加载接口配置
+        // 是否在加载接口配置(或者因为其他原因暂停了发送请求, 参考 _pause)
         this.loading = false;
+        // 暂停发送请求的原因(例如 `config` 加载接口配置, `auth` 刷新登录态), 同一个原因可能有多个
+        this.pauseReasons = [];
         // 等待发送的请求
         this.stalled = [];
 
+        // 中间件
+        this.middlewares = [];
+
         this.logger = new Logger({
             level: loggerLevel,
             prefix: '[backend-api]'
         });
+
+        // 根据接口配置生成的调用接口的方法, 例如: `backendApi.client.user.getUser(options)`
+        this.client = {};
+        this._addClientMethods(Object.keys(this.apiConfig));
     }
 
     /**
@@ -90,9 +108,225 @@ class BackendApi {
         }
 
         extend(this.apiConfig, _apiConfig);
+        this._addClientMethods(Object.keys(_apiConfig));
+        return this;
+    }
+
+    /**
+     * 根据接口名生成调用接口的方法, 接口名中的 namespace 对应为嵌套的对象,
+     * 例如接口名为 `user.getUser` 时生成 `backendApi.client.user.getUser(options)`, 等同于 `backendApi.sendRequest('user.getUser', options)`
+     * 
+     * @param {Array<string>} names 接口名
+     */
+    _addClientMethods(names) {
+        // 直接设置属性的值, 因为接口名可能与函数自带的只读属性(例如 name)同名
+        var define = function(target, key, value) {
+            Object.defineProperty(target, key, {
+                value: value,
+                enumerable: true,
+                configurable: true,
+                writable: true
+            });
+        };
+
+        names.forEach((name) => {
+            var keys = name.split('.');
+            var methodName = keys.pop();
+
+            var target = this.client;
+            keys.forEach(function(key) {
+                if (!target.hasOwnProperty(key)) {
+                    define(target, key, {});
+                }
+                target = target[key];
+            });
+
+            var method = (options) => {
+                return this.sendRequest(name, options);
+            };
+            // 接口名与 namespace 同名时, 保留这个 namespace 下已经生成的方法
+            if (target.hasOwnProperty(methodName)) {
+                for (var key in target[methodName]) {
+                    define(method, key, target[methodName][key]);
+                }
+            }
+            define(target, methodName, method);
+        });
+    }
+
+    /**
+     * 添加中间件, 用于在发送请求的各个阶段做统一的处理(例如添加认证信息, 签名, 输出日志等等)
+     * 
+     * 中间件各个阶段的处理方法中 `this` 指向 backendApi 实例, 可以返回 Promise 做异步的处理
+     * - 发送请求前的处理(`request`)按中间件的顺序执行, 返回 undefined 时继续执行后面的中间件,
+     *   返回其他的值(或者 Promise)时不再发送请求, 直接作为请求的结果
+     * - 处理请求的结果(`response` 和 `error`)按中间件相反的顺序执行(只有处理过这个请求的中间件才会执行), 返回 undefined 时保持原来的结果,
+     *   返回其他的值(或者 Promise)时替换掉原来的结果, 后面的中间件处理的是替换后的结果, 被替换的失败结果不会再做通用的错误状态处理
+     * 
+     * @param {object} middleware
+     * @param {string} [middleware.name] 中间件的名称, 用于移除中间件或者调整中间件的顺序, 添加同名的中间件会替换掉原来的中间件
+     * @param {string|Array<string>|Function} [middleware.scope] 中间件的作用域, 可以是接口名或者 namespace, 也可以是判断请求的函数, 默认作用于所有的请求
+     * @param {Function} [middleware.request] 发送请求前的处理 `(requestOptions)`, 返回的结果会阻止发送请求
+     * @param {Function} [middleware.response] 接口调用成功时的处理 `(requestOptions, requestResult)`
+     * @param {Function} [middleware.error] 接口调用失败时的处理 `(requestOptions, requestResult)`, 返回的结果可以让请求从失败中恢复(例如重新发送请求)
+     * @param {object} [position] 添加中间件的位置, 例如: `{before: 'cache'}` 或者 `{after: 'loading'}`, 默认添加到最后(替换中间件时为原来的位置)
+     * @return {BackendApi} this
+     */
+    use(middleware, position = {}) {
+        var index = this.middlewares.length;
+
+        var existIndex = this._indexOfMiddleware(middleware.name);
+        if (existIndex != -1) {
+            this.logger.warn('替换了中间件', middleware.name, middleware, this.middlewares[existIndex]);
+            this.middlewares.splice(existIndex, 1);
+            index = existIndex;
+        }
+
+        var anchor = position.before || position.after;
+        if (anchor) {
+            var anchorIndex = this._indexOfMiddleware(anchor);
+            if (anchorIndex != -1) {
+                index = position.before ? anchorIndex : anchorIndex + 1;
+            } else {
+                this.logger.warn('没有找到对应的中间件', anchor, this.middlewares);
+            }
+        }
+
+        this.middlewares.splice(index, 0, middleware);
+        return this;
+    }
+
+    /**
+     * 移除中间件
+     * 
+     * @param {string} name 中间件的名称
+     * @return {BackendApi} this
+     */
+    eject(name) {
+        var index = this._indexOfMiddleware(name);
+        if (index != -1) {
+            this.middlewares.splice(index, 1);
+        } else {
+            this.logger.warn('没有找到对应的中间件', name, this.middlewares);
+        }
         return this;
     }
 
+    /**
+     * @param {string} name 中间件的名称
+     * @return {number}
+     */
+    _indexOfMiddleware(name) {
+        if (!name) {
+            return -1;
+        }
+
+        for (var i = 0, length = this.middlewares.length; i < length; i++) {
+            if (this.middlewares[i].name === name) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 获取作用于某个请求的中间件
+     * 
+     * @param {object} requestOptions
+     * @return {Array<object>}
+     */
+    _getMiddlewares(requestOptions) {
+        return this.middlewares.filter((middleware) => {
+            return this._isInScope(middleware.scope, requestOptions);
+        });
+    }
+
+    /**
+     * 判断请求是否在作用域中
+     * 
+     * @param {string|Array<string>|Function} [scope] 接口名或者 namespace, 也可以是判断请求的函数, 没有设置时表示所有的请求
+     * @param {object} requestOptions
+     * @return {boolean}
+     */
+    _isInScope(scope, requestOptions) {
+        if (!scope) {
+            return true;
+        }
+
+        if (typeof scope === 'function') {
+            return !!scope.call(this, requestOptions);
+        }
+
+        var name = requestOptions._name || '';
+        return [].concat(scope).some(function(_scope) {
+            return name === _scope || name.indexOf(_scope + '.') === 0;
+        });
+    }
+
+    /**
+     * 中间件按相反的顺序依次处理请求的结果, 成功时执行 `response`, 失败时执行 `error`
+     * 
+     * @param {Array<object>} middlewares
+     * @param {object} requestOptions
+     * @param {Promise} promise 请求的结果
+     * @param {Function} [failHandler] 请求的结果是失败的, 并且没有被中间件替换时的处理
+     * @return {Promise} 最终的结果
+     */
+    _runResponseMiddlewares(middlewares, requestOptions, promise, failHandler) {
+        var replaced = false;
+
+        // 返回 undefined 时保持原来的结果, 否则替换掉原来的结果
+        var replace = (handler, args, keep) => {
+            var result;
+            try {
+                result = handler.apply(this, args);
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+
+            if (typeof result === 'undefined') {
+                return keep();
+            }
+
+            return Promise.resolve(result).then(function(_result) {
+                if (typeof _result === 'undefined') {
+                    return keep();
+                }
+                replaced = true;
+                return _result;
+            }, function(reason) {
+                replaced = true;
+                return Promise.reject(reason);
+            });
+        };
+
+        return middlewares.slice().reverse().reduce(function(promise, middleware) {
+            return promise.then(function(result) {
+                if (!middleware.response) {
+                    return result;
+                }
+
+                var requestResult = Array.isArray(result) ? result[1] : result;
+                return replace(middleware.response, [requestOptions, requestResult], function() {
+                    return result;
+                });
+            }, function(requestResult) {
+                if (!middleware.error) {
+                    return Promise.reject(requestResult);
+                }
+
+                return replace(middleware.error, [requestOptions, requestResult], function() {
+                    return Promise.reject(requestResult);
+                });
+            });
+        }, promise).catch(function(requestResult) {
+            if (failHandler && !replaced) {
+                return failHandler(requestResult);
+            }
+            return Promise.reject(requestResult);
+        });
+    }
+
     /**
      * 发送请求前的统一处理
      * 
@@ -119,9 +353,12 @@ class BackendApi {
      * @return {Promise}
      */
     sendRequest(name, options = {}, namespace = '') {
-        // 如果还在加载接口配置, 则延迟执行接口的请求
-        if (this.loading) {
+        // 如果还在加载接口配置(或者暂停了发送请求), 则延迟执行接口的请求
+        // 刷新登录态时发送的请求(_skipAuth)不能等待, 否则永远都等不到恢复
+        if (this.loading && !options._skipAuth) {
             var dfd = new Deferred();
+            // 记录等待的原因, 某个原因失败时只拒绝因为这个原因而等待的请求
+            dfd.reasons = this.pauseReasons.slice();
             this.stalled.push(dfd);
 
             return dfd.then(() => {
@@ -141,21 +378,66 @@ class BackendApi {
      * @return {Promise}
      */
     loadApiConfig(requestOptions) {
-        this.loading = true;
+        this._pause('config');
         return this.$sendHttpRequest(requestOptions).then(([data, requestResult]) => {
             this.addApiConfig(data);
+            this._resume('config');
+            return [data, requestResult];
+        }, (requestResult) => {
+            // 加载失败时需要拒绝等待接口配置的请求, 否则这些请求永远都不会结束
+            this._rejectStalled(requestResult, 'config');
+            this._resume('config');
+            return Promise.reject(requestResult);
+        });
+    }
 
-            // 激活等待发送的请求
-            this.stalled.forEach(function(dfd) {
-                dfd.resolve();
-            });
-            this.stalled.length = 0;
+    /**
+     * 暂停发送请求, 之后的请求会等待恢复(`_resume`)后再发送
+     * 
+     * @param {string} reason 暂停的原因
+     */
+    _pause(reason) {
+        this.pauseReasons.push(reason);
+        this.loading = true;
+    }
+
+    /**
+     * 恢复发送请求, 所有暂停的原因都结束了才会真正恢复, 激活等待发送的请求
+     * 
+     * @param {string} reason 暂停的原因
+     */
+    _resume(reason) {
+        var index = this.pauseReasons.indexOf(reason);
+        if (index != -1) {
+            this.pauseReasons.splice(index, 1);
+        }
+        if (this.pauseReasons.length > 0) {
+            return;
+        }
+
+        // 激活等待发送的请求
+        this.stalled.forEach(function(dfd) {
+            dfd.resolve();
+        });
+        this.stalled.length = 0;
 
-            this.loading = false;
+        this.loading = false;
+    }
 
-            return [data, requestResult];
-        }, () => {
-            this.loading = false;
+    /**
+     * 拒绝因为某个原因而等待发送的请求, 其他的请求继续等待
+     * 
+     * @param {*} requestResult
+     * @param {string} [reason] 暂停的原因, 没有指定时拒绝所有等待发送的请求
+     */
+    _rejectStalled(requestResult, reason) {
+        this.stalled = this.stalled.filter(function(dfd) {
+            if (typeof reason !== 'undefined' && dfd.reasons.indexOf(reason) == -1) {
+                return true;
+            }
+
+            dfd.reject(requestResult);
+            return false;
         });
     }
 
@@ -177,7 +459,8 @@ class BackendApi {
      * 获取请求的参数
      * 
      * @param {string} name 接口的名称, 既配置在 `apiConfig` 中的 key
-     *                      针对接口 URL 中有 path 参数的情况, 需要在 name 中加入斜杠来标识,
+     *                      针对接口 URL 中有 path 参数的情况, 推荐在 URL 中配置命名的占位符(`/:name`), 通过 `options._params` 来传入参数,
+     *                      也可以在 name 中加入斜杠来标识(会将斜杠之后的 path 拼接到 URL 中)
      *                      如果不使用这个参数, 也可以发请求, 但不推荐这么使用, 应该将所有接口都配置好
      * @param {object} options 请求参数
      * @param {string} namespace 接口名的 namespace
@@ -185,6 +468,7 @@ class BackendApi {
      */
     _getRequestOptions(name, options, namespace) {
         var api;
+        var apiName;
 
         if (name) {
             var _name = name;
@@ -198,7 +482,7 @@ class BackendApi {
             // }
             // 会先根据斜杠提取出注册在接口配置中的名字: getUser,
             // 再取出 getUser 注册时的 URL, 将斜杠之后的 path 拼接到此 URL 中
-            // TODO 考虑支持这种格式: //domain.com/user/:userId/room/:roomId
+            // 更推荐的方式是在 URL 中配置命名的占位符, 参考 `_compilePathParams`
             var slashIndex = name.indexOf('/');
             if (slashIndex != -1) {
                 _name = name.substring(0, slashIndex);
@@ -208,6 +492,7 @@ class BackendApi {
             if (namespace) {
                 _name = namespace + '.' + _name;
             }
+            apiName = _name;
             var _api = this.apiConfig[_name];
             if (_api) {
                 api = extend(true, {}, _api);
@@ -219,7 +504,73 @@ class BackendApi {
             this.logger.warn('没有配置接口', options);
         }
 
-        return extend(true, {}, this.defaultRequestOptions, api, options);
+        var requestOptions = extend(true, {}, this.defaultRequestOptions, api, options);
+        // 完整的接口名(包含 namespace), 用于判断中间件等的作用域
+        requestOptions._name = apiName;
+        // 没有找到对应的接口配置
+        if (apiName && !api) {
+            requestOptions._apiNotFound = true;
+        }
+        if (requestOptions.url) {
+            requestOptions.url = this._compilePathParams(requestOptions.url, requestOptions._params);
+        }
+        return requestOptions;
+    }
+
+    /**
+     * 将 path 参数填充到接口 URL 的占位符中
+     * 
+     * 占位符的格式为 `/:name`, 在名字后面加上 `?` 表示是可选的参数(`/:name?`), 没有传入可选参数时会去掉这一段 path
+     * 例如: `//domain.com/user/:userId/room/:roomId?`
+     * - `{userId: 1, roomId: 2}` -> `//domain.com/user/1/room/2`
+     * - `{userId: 1}` -> `//domain.com/user/1/room`
+     * 
+     * 参数值会经过 `encodeURIComponent` 编码, 缺少必填的参数时会保留占位符(请求会被拒绝, 参考 `_getUnresolvedPathParams`)
+     * 
+     * @param {string} url 接口的 URL
+     * @param {object} [params={}] path 参数
+     * @return {string}
+     */
+    _compilePathParams(url, params = {}) {
+        var missing = [];
+
+        var _url = url.replace(BackendApi.PATH_PARAM_REGEXP, function(placeholder, name, optional) {
+            var value = params[name];
+            if (value === undefined || value === null || value === '') {
+                if (optional) {
+                    return '';
+                } else {
+                    missing.push(name);
+                    return placeholder;
+                }
+            }
+            return '/' + encodeURIComponent(value);
+        });
+
+        if (missing.length > 0) {
+            this.logger.warn('缺少接口 URL 中必填的 path 参数', missing, url, params);
+        }
+
+        return _url;
+    }
+
+    /**
+     * 获取 URL 中还没有被填充的 path 参数
+     * 
+     * @param {string} url
+     * @return {Array<string>} 参数名
+     */
+    _getUnresolvedPathParams(url) {
+        var names = [];
+
+        if (url) {
+            url.replace(BackendApi.PATH_PARAM_REGEXP, function(placeholder, name) {
+                names.push(name);
+                return placeholder;
+            });
+        }
+
+        return names;
     }
 
     /**
@@ -247,6 +598,9 @@ class BackendApi {
     }
 }
 
+// 接口 URL 中 path 参数的占位符, 例如: `/:userId` 或者 `/:roomId?`(可选参数)
+BackendApi.PATH_PARAM_REGEXP = /\/:([A-Za-z_$][\w$]*)(\?(?=[/?#]|$))?/g;
+
 /**
  * 延迟执行
  * 
@@ -305,7 +659,70 @@ class Deferred {
 }
 
 /**
- * 统一封装微信小程序平台后端接口的调用
+ * 取消请求的令牌
+ * 
+ * 一个令牌可以传给多个请求(`requestOptions._cancelToken`), 调用 `cancel` 时会取消所有关联的请求
+ * 
+ * @example
+ * ```javascript
+ * var cancelToken = new WeappBackendApi.CancelToken();
+ * backendApi.sendRequest('getList', {
+ *     _cancelToken: cancelToken
+ * });
+ * cancelToken.cancel('页面已关闭');
+ * ```
+ */
+class CancelToken {
+    constructor() {
+        this.reason = undefined;
+        this._listeners = [];
+    }
+    /**
+     * @return {boolean}
+     */
+    isCancelled() {
+        return typeof this.reason !== 'undefined';
+    }
+    /**
+     * 
+     * @param {*} [reason='取消请求'] 取消的原因
+     */
+    cancel(reason = '取消请求') {
+        if (this.isCancelled()) {
+            return;
+        }
+
+        this.reason = reason;
+        this._listeners.splice(0).forEach(function(listener) {
+            listener(reason);
+        });
+    }
+    /**
+     * 
+     * @param {Function} listener 取消时的回调, 如果已经取消了则立即回调
+     * @return {Function} 移除回调的方法
+     */
+    onCancel(listener) {
+        if (this.isCancelled()) {
+            listener(this.reason);
+            return function() {};
+        }
+
+        this._listeners.push(listener);
+        return () => {
+            var index = this._listeners.indexOf(listener);
+            if (index != -1) {
+                this._listeners.splice(index, 1);
+            }
+        };
+    }
+}
+
+/**
+ * 统一封装小程序平台后端接口的调用
+ * 
+ * 默认使用微信小程序的 API, 其他平台通过适配器(`WeappBackendApi.adapters`)来支持, 例如:
+ * `new BackendApi(apiConfig, undefined, undefined, BackendApi.adapters.alipay)`
  * 
  * @example
  * ```javascript
@@ -325,48 +742,116 @@ class Deferred {
  * ```
  */
 class WeappBackendApi extends BackendApi {
-    constructor(apiConfig, defaultRequestOptions = WeappBackendApi.defaults.requestOptions, loggerLevel) {
+    /**
+     * @param {object} apiConfig 后端 HTTP 接口的配置, 参考 BackendApi
+     * @param {object} [defaultRequestOptions] 默认的请求参数
+     * @param {string} [loggerLevel] 日志级别, 默认根据小程序运行的版本(`envVersion`)来判断,
+     *                 开发版和体验版为 TRACE 级别, 线上版为 WARN 级别, 参考 `WeappBackendApi.defaults.ENV_LOGGER_LEVELS`
+     * @param {object} [adapter] 平台的适配器
+     */
+    constructor(apiConfig, defaultRequestOptions = WeappBackendApi.defaults.requestOptions, loggerLevel, adapter = WeappBackendApi.defaults.adapter) {
+        if (typeof loggerLevel === 'undefined') {
+            loggerLevel = WeappBackendApi.defaults.ENV_LOGGER_LEVELS[adapter.getEnvVersion && adapter.getEnvVersion()];
+        }
         super(apiConfig, defaultRequestOptions, loggerLevel);
 
-        this.simpleStorage = new SimpleStorage({
+        // 平台的适配器, 封装了发送请求, loading 提示, 错误提示和本地缓存等平台相关的 API
+        this.adapter = adapter;
+
+        this.simpleStorage = this.adapter.createStorage({
             name: 'backend-api-cache',
-            loggerLevel: loggerLevel
+            loggerLevel: this.logger.options.level
         });
+
+        // 离线请求队列, 保存因为网络不可用而失败的请求(`_offline: 'queue'`), 在网络恢复后回放
+        this.offlineQueue = new OfflineQueue(this, WeappBackendApi.defaults.offline, this.logger.options.level);
+
+        // 环境的配置, 参考 useEnvironments
+        this.environments = null;
+        // 当前的环境
+        this.env = '';
+        // 没有在环境的配置中指定日志级别时使用的日志级别
+        this.defaultLoggerLevel = this.logger.options.level;
+
+        // 缓存的分区, 参考 setCachePartition
+        this.cachePartition = '';
+
+        // 还没有结束的请求(包括发送请求前和正在发送中的), 用于取消请求
+        this.pending = [];
+        // 还没有结束的请求的结果(Promise), 用于共享重复请求的结果
+        this.inflight = {};
+
+        // 登录态的配置, 参考 useAuth
+        this.auth = null;
+        // 刷新登录态的次数, 用于判断请求发出之后是否已经刷新过登录态
+        this.authEpoch = 0;
+        // 正在刷新登录态(Promise)
+        this.authRefreshing = null;
+
+        // 请求的监控数据上报器, 参考 useTelemetry
+        this.telemetry = null;
+
+        // 请求签名器, 参考 useSigner
+        this.signer = null;
+        // 加密请求数据的 codec, key 为 codec 的名称, 参考 useCodec
+        this.codecs = {};
+
+        // 是否开启模拟请求(`_mock`), 关闭后所有接口都会发送真实的请求
+        this.mockEnabled = true;
+
+        // 最多同时发送请求的数量, 超出时请求会按优先级排队
+        this.maxConcurrency = WeappBackendApi.defaults.MAX_CONCURRENCY;
+        // 排队中的请求
+        this.queue = [];
+        // 等待合并到批量接口中的请求, key 为批量接口的名称
+        this.batches = {};
+        // WebSocket 通道, key 为接口名
+        this.channels = {};
+        // 正在发送的请求数量
+        this.running = 0;
+
+        // 内置的中间件, 可以通过 eject 移除或者通过 use 调整顺序
+        this.use(WeappBackendApi.middlewares.interceptDuplicateRequest)
+            .use(WeappBackendApi.middlewares.cache)
+            .use(WeappBackendApi.middlewares.loading)
+            .use(WeappBackendApi.middlewares.offline);
     }
 
     /**
-     * 内置如下功能
-     * - 查询请求队列拦截重复请求(不发送请求)
-     * - 获取接口缓存数据的机制, 存在缓存数据则直接读取缓存数据(不发送请求)
-     * - 显示 loading 提示
+     * 是否为重复的请求
      * 
-     * @override
-     * @return {undefined|Promise} 如果返回 Promise 则不会去发送请求
+     * - 共享结果(`share`)时, 只要有相同的请求还没有结束就是重复的请求
+     * - 丢弃(`drop`)时, 有相同的请求正在发送中才是重复的请求
+     * 
+     * @param {object} requestOptions
+     * @return {boolean}
      */
-    beforeSend(requestOptions) {
-        var cachedRequestResult = this.simpleStorage.get(this._getRequestInfoHash(requestOptions));
-
-        if (this._isSending(requestOptions) && requestOptions._interceptDuplicateRequest) {
-            return this._interceptDuplicateRequest(requestOptions);
-        } else if (cachedRequestResult) {
-            this.logger.log('----------------------');
-            this.logger.log('from cache');
-            this.logger.log('----------------------');
-            return Promise.resolve(cachedRequestResult);
-        } else { // 前面的请求可能没有开启 loading, 因此不能判断 !this._isAnySending()
-            this._showLoading(requestOptions);
+    _isDuplicateRequest(requestOptions) {
+        if (requestOptions._interceptDuplicateRequest === 'share') {
+            return this.inflight.hasOwnProperty(this._getRequestInfoHash(requestOptions));
+        } else {
+            return this._isSending(requestOptions);
         }
     }
 
     /**
      * 拦截重复请求
      * 
+     * - 共享结果(`share`): 返回相同请求的结果, 即重复的请求会得到同样的数据或者错误
+     * - 丢弃(`drop` 或者 true): 返回一个 pending 状态的 Promise, 适合用于防止重复提交(例如多次点击提交按钮)
+     * 
      * @param {object} requestOptions
      * @return {Promise}
      */
     _interceptDuplicateRequest(requestOptions) {
         var requestInfoHash = this._getRequestInfoHash(requestOptions);
 
+        if (requestOptions._interceptDuplicateRequest === 'share') {
+            this.logger.log('共享重复请求的结果', requestInfoHash, this.inflight[requestInfoHash]);
+            this.logger.log('----------------------');
+            return this.inflight[requestInfoHash];
+        }
+
         this.logger.warn('拦截到重复请求', requestInfoHash, this.sending[requestInfoHash], this.sending);
         this.logger.warn('----------------------');
 
@@ -375,142 +860,2148 @@ class WeappBackendApi extends BackendApi {
     }
 
     /**
-     * 内置如下功能
-     * - 清理请求队列
-     * - 关闭 loading 提示
+     * 内置如下功能
+     * - 清理请求队列
+     * 
+     * @override
+     */
+    afterSend(requestOptions, requestResult) {
+        this._removeFromSending(requestOptions);
+    }
+
+    _showLoading(requestOptions) {
+        if (requestOptions._showLoading !== false) {
+            this.adapter.showLoading({
+                icon: 'loading',
+                title: WeappBackendApi.defaults.LOADING_MESSAGE,
+                mask: requestOptions._showLoadingMask
+            });
+        }
+        // 即使设置为不显示 loading 提示, 但顶部的 loading 提示还是要给出的,
+        // 因为发送了请求出去, 总要给予一定的反馈信息(例如移动网络有数据交互时的提示)
+        this.adapter.showNavigationBarLoading();
+    }
+
+    _hideLoading(requestOptions) {
+        this.adapter.hideLoading();
+        this.adapter.hideNavigationBarLoading();
+    }
+
+    /**
+     * 统一发送(接口)请求的方法
+     * 
+     * 返回的 Promise 增加了 `onProgressUpdate(listener)` 方法, 用于监听上传或者下载文件的进度,
+     * 注意调用 then 之后返回的 Promise 就没有这个方法了
+     * 
+     * @override
+     * @param {string} name 接口的名称
+     * @param {object} [options={}] 请求参数
+     * @param {string} [namespace=''] 接口名的 namespace
+     * @return {Promise}
+     */
+    sendRequest(name, options = {}, namespace = '') {
+        var listeners = [];
+        var onProgressUpdate = options._onProgressUpdate;
+
+        var promise = super.sendRequest(name, extend({}, options, {
+            _onProgressUpdate: function(res) {
+                onProgressUpdate && onProgressUpdate(res);
+                listeners.forEach(function(listener) {
+                    listener(res);
+                });
+            }
+        }), namespace);
+
+        promise.onProgressUpdate = function(listener) {
+            listeners.push(listener);
+            return promise;
+        };
+        return promise;
+    }
+
+    /**
+     * 加载远程的接口配置, 加载成功后保存到本地
+     * 
+     * - 本地保存过接口配置(并且版本一致)时, 直接使用本地的接口配置, 不会延迟接口的请求, 同时在后台重新验证(带上 `If-None-Match`),
+     *   接口配置有变化时更新并保存到本地
+     * - 本地没有保存过接口配置时, 之后的接口请求会等待加载完成后才真正发送, 加载超时(`timeout`)会取消请求, 失败时按 `retry` 重试,
+     *   最终失败时以错误码 `C110` 拒绝等待中的请求, 或者设置了 `fallback` 时使用内置的接口配置(构造函数传入的)继续发送
+     * 
+     * @override
+     * @param {object} requestOptions 请求参数
+     * @param {object} [options] 加载的配置, 参考 `WeappBackendApi.defaults.apiConfig`
+     * @return {Promise} 成功时为 `[接口配置, requestResult]`, 后台重新验证失败时为 `[本地保存的接口配置]`
+     */
+    loadApiConfig(requestOptions, options) {
+        var loaderOptions = extend(true, {}, WeappBackendApi.defaults.apiConfig, options);
+        var persisted = this._getPersistedApiConfig(requestOptions, loaderOptions);
+
+        if (persisted) {
+            this.logger.log('使用本地保存的接口配置, 在后台重新验证', requestOptions.url, persisted.etag);
+            this.addApiConfig(persisted.config);
+
+            return this._fetchApiConfig(requestOptions, loaderOptions, persisted).catch((requestResult) => {
+                this.logger.warn('重新验证接口配置失败, 继续使用本地保存的接口配置', requestOptions.url, requestResult);
+                return [persisted.config];
+            });
+        }
+
+        this._pause('config');
+        return this._fetchApiConfig(requestOptions, loaderOptions).then((result) => {
+            this._resume('config');
+            return result;
+        }, (requestResult) => {
+            var failResult = this._getApiConfigFailResult(requestResult);
+
+            if (loaderOptions.fallback) {
+                this.logger.warn('加载接口配置失败, 使用内置的接口配置', requestOptions.url, requestResult);
+                this._resume('config');
+                return Promise.reject(failResult);
+            }
+
+            // 只拒绝等待接口配置的请求, 还在等待其他原因(例如刷新登录态)的请求继续等待
+            this._rejectStalled(failResult, 'config');
+            this._resume('config');
+            return this.commonFailStatusHandler(requestOptions, failResult);
+        });
+    }
+
+    /**
+     * 发送加载接口配置的请求, 成功时更新并保存接口配置
+     * 
+     * @param {object} requestOptions
+     * @param {object} loaderOptions
+     * @param {object} [persisted] 本地保存的接口配置, 有则为后台重新验证
+     * @return {Promise}
+     */
+    _fetchApiConfig(requestOptions, loaderOptions, persisted) {
+        var cancelToken = new CancelToken();
+        var timer = setTimeout(function() {
+            cancelToken.cancel('加载接口配置超时');
+        }, loaderOptions.timeout);
+
+        var normalizeRequestResult = requestOptions._normalizeRequestResult || this.normalizeRequestResult;
+        var _requestOptions = extend(true, {
+            _retry: loaderOptions.retry,
+            _cacheStrategy: 'network-only',
+            _interceptDuplicateRequest: false
+        }, requestOptions, {
+            // 失败时统一以 C110 提示, 后台重新验证时不打扰用户
+            _showFailTip: false,
+            _cancelToken: cancelToken,
+            _normalizeRequestResult: function(requestOptions, result) {
+                // 接口配置没有变化(HTTP 304)时没有返回数据
+                if (persisted && (result === '' || result === null || typeof result === 'undefined')) {
+                    return {
+                        status: 0,
+                        data: null
+                    };
+                }
+                return normalizeRequestResult.apply(this, arguments);
+            }
+        });
+        if (persisted) {
+            _requestOptions._showLoading = false;
+            if (persisted.etag) {
+                _requestOptions.header = extend({}, _requestOptions.header, {
+                    'If-None-Match': persisted.etag
+                });
+            }
+        }
+
+        return this.$sendHttpRequest(_requestOptions).then(([data, requestResult]) => {
+            clearTimeout(timer);
+
+            if (persisted && requestResult.statusCode === 304) {
+                this.logger.log('接口配置没有变化', requestOptions.url);
+                return [persisted.config, requestResult];
+            }
+
+            this.addApiConfig(data);
+            this._persistApiConfig(requestOptions, loaderOptions, data, requestResult);
+            return [data, requestResult];
+        }, function(requestResult) {
+            clearTimeout(timer);
+            return Promise.reject(requestResult);
+        });
+    }
+
+    /**
+     * 获取本地保存的接口配置
+     * 
+     * @param {object} requestOptions
+     * @param {object} loaderOptions
+     * @return {object} `{config, version, etag, savedAt}`, 没有保存过或者版本不一致时为 undefined
+     */
+    _getPersistedApiConfig(requestOptions, loaderOptions) {
+        var persisted = this._getApiConfigStorage().get(loaderOptions.STORAGE_KEY + requestOptions.url);
+        if (!persisted || !persisted.config) {
+            return;
+        }
+
+        // 版本不一致(例如小程序发布了新的版本)时不再使用原来保存的接口配置
+        if (persisted.version !== loaderOptions.version) {
+            this.logger.info('本地保存的接口配置的版本不一致', persisted.version, loaderOptions.version);
+            return;
+        }
+
+        return persisted;
+    }
+
+    /**
+     * 将加载到的接口配置保存到本地, 记录版本和 ETag 用于重新验证
+     * 
+     * @param {object} requestOptions
+     * @param {object} loaderOptions
+     * @param {object} config
+     * @param {object} requestResult
+     */
+    _persistApiConfig(requestOptions, loaderOptions, config, requestResult) {
+        var header = requestResult.header || {};
+        var etag;
+        for (var name in header) {
+            if (name.toLowerCase() === 'etag') {
+                etag = header[name];
+            }
+        }
+
+        this._getApiConfigStorage().set(loaderOptions.STORAGE_KEY + requestOptions.url, {
+            config: config,
+            version: loaderOptions.version,
+            etag: etag,
+            savedAt: Date.now()
+        });
+    }
+
+    /**
+     * 保存接口配置的本地存储, 与接口缓存分开保存, 清除缓存时不会被清除
+     * 
+     * @return {object}
+     */
+    _getApiConfigStorage() {
+        if (!this.apiConfigStorage) {
+            this.apiConfigStorage = this.adapter.createStorage({
+                name: 'backend-api-config',
+                loggerLevel: this.logger.options.level
+            });
+        }
+        return this.apiConfigStorage;
+    }
+
+    /**
+     * 获取加载接口配置失败时的结果
+     * 
+     * @param {object} requestResult 加载接口配置的请求结果
+     * @return {object}
+     */
+    _getApiConfigFailResult(requestResult) {
+        return {
+            data: {
+                status: WeappBackendApi.defaults.API_CONFIG_FAIL_STATUS,
+                _errorType: 'C',
+                statusInfo: {
+                    message: WeappBackendApi.defaults.API_CONFIG_FAIL_MESSAGE,
+                    detail: {
+                        requestResult: requestResult
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * 设置环境的配置(例如开发/测试/线上环境), 接口配置中的 URL 可以使用相对路径, 发送请求时根据当前环境的 baseUrl 拼接成完整的 URL
+     * 
+     * 当前的环境依次为: 切换过的环境(`switchEnvironment`, 保存在本地) > `defaultEnv` > 小程序运行的版本(`envVersion`) > 第一个环境
+     * 
+     * @example
+     * ```javascript
+     * backendApi.useEnvironments({
+     *     develop: {
+     *         baseUrl: {
+     *             '*': 'https://dev.domain.com',
+     *             user: 'https://user-dev.domain.com' // user namespace 下的接口
+     *         },
+     *         header: {'X-Env': 'dev'},
+     *         loggerLevel: 'trace'
+     *     },
+     *     release: {
+     *         baseUrl: 'https://domain.com'
+     *     }
+     * });
+     * ```
+     * 
+     * @param {object} environments key 为环境的名称, 值为环境的配置
+     * @param {string|object} environments.baseUrl 相对路径的接口 URL 的 baseUrl, 可以按 namespace 配置(`*` 为默认的 baseUrl)
+     * @param {object} [environments.header] 默认的 header, 优先级低于默认的请求参数, 接口配置和请求参数中的 header
+     * @param {string} [environments.loggerLevel] 日志级别
+     * @param {string} [defaultEnv] 默认的环境
+     * @return {WeappBackendApi} this
+     */
+    useEnvironments(environments, defaultEnv) {
+        this.environments = environments;
+
+        var envs = Object.keys(environments);
+        var savedEnv = this._getEnvStorage().get(WeappBackendApi.defaults.ENV_STORAGE_KEY);
+        var envVersion = this.adapter.getEnvVersion && this.adapter.getEnvVersion();
+
+        var env = [savedEnv, defaultEnv, envVersion].filter(function(env) {
+            return env && environments.hasOwnProperty(env);
+        })[0] || envs[0];
+        this._applyEnvironment(env);
+        return this;
+    }
+
+    /**
+     * 切换环境(例如在调试面板中切换到测试环境), 切换后的环境会保存在本地, 下次启动时继续使用
+     * 
+     * 切换环境时会关闭 WebSocket 通道(使用的是原来环境的 URL)
+     * 
+     * @param {string} env 环境的名称
+     * @param {boolean} [purge=true] 是否清除原来环境的缓存数据
+     * @return {WeappBackendApi} this
+     */
+    switchEnvironment(env, purge = true) {
+        if (!this.environments || !this.environments.hasOwnProperty(env)) {
+            this.logger.warn('没有找到环境的配置', env, this.environments);
+            return this;
+        }
+
+        var oldEnv = this.env;
+        this._getEnvStorage().set(WeappBackendApi.defaults.ENV_STORAGE_KEY, env);
+        if (oldEnv === env) {
+            return this;
+        }
+
+        this.logger.info('切换环境', oldEnv, '->', env);
+        this._applyEnvironment(env);
+        this.closeChannels('切换环境');
+
+        if (purge) {
+            this._removeCache(function(cacheIndexItem) {
+                return cacheIndexItem.env === oldEnv;
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * 获取当前环境的配置
+     * 
+     * @return {object} 没有设置环境的配置时为 undefined
+     */
+    getEnvironment() {
+        return this.environments ? this.environments[this.env] : undefined;
+    }
+
+    _applyEnvironment(env) {
+        this.env = env;
+
+        var environment = this.getEnvironment() || {};
+        // simple-console-log-level 只在构造函数中将日志级别转换为小写, 直接修改时需要自己转换
+        var level = String(environment.loggerLevel || this.defaultLoggerLevel).toLowerCase();
+        this.logger.options.level = level;
+
+        // 已经创建的本地存储也使用新的日志级别(监控数据的上报器使用的就是 this.logger)
+        [this.simpleStorage, this.offlineQueue.storage, this.apiConfigStorage, this.envStorage].forEach(function(storage) {
+            if (storage && storage.logger && storage.logger.options) {
+                storage.logger.options.level = level;
+            }
+        });
+    }
+
+    /**
+     * 保存当前环境的本地存储, 与接口缓存分开保存, 清除缓存时不会被清除
+     * 
+     * @return {object}
+     */
+    _getEnvStorage() {
+        if (!this.envStorage) {
+            this.envStorage = this.adapter.createStorage({
+                name: 'backend-api-env',
+                loggerLevel: this.logger.options.level
+            });
+        }
+        return this.envStorage;
+    }
+
+    /**
+     * 根据当前的环境将相对路径的接口 URL 拼接成完整的 URL, 并带上环境默认的 header
+     * 
+     * @override
+     * @param {string} name 接口的名称
+     * @param {object} options 请求参数
+     * @param {string} namespace 接口名的 namespace
+     * @return {object}
+     */
+    _getRequestOptions(name, options, namespace) {
+        var requestOptions = super._getRequestOptions(name, options, namespace);
+        var environment = this.getEnvironment();
+
+        if (environment) {
+            if (environment.header) {
+                requestOptions.header = extend({}, environment.header, requestOptions.header);
+            }
+            if (requestOptions.url) {
+                requestOptions.url = this._resolveUrl(environment, requestOptions.url, requestOptions._name);
+            }
+        }
+
+        return requestOptions;
+    }
+
+    /**
+     * 将相对路径的 URL 拼接上环境的 baseUrl, 完整的 URL(例如 `https://domain.com/a` 或者 `//domain.com/a`)保持不变
+     * 
+     * 按 namespace 配置 baseUrl 时, 使用与接口名匹配的最长的 namespace 的 baseUrl, 没有匹配的时使用 `*` 的 baseUrl
+     * 
+     * @param {object} environment 环境的配置
+     * @param {string} url
+     * @param {string} [name] 接口名(包含 namespace)
+     * @return {string}
+     */
+    _resolveUrl(environment, url, name = '') {
+        if (/^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+            return url;
+        }
+
+        var baseUrl = environment.baseUrl;
+        if (baseUrl && typeof baseUrl === 'object') {
+            var namespace = Object.keys(baseUrl).filter(function(namespace) {
+                return namespace !== '*' && name.indexOf(namespace + '.') === 0;
+            }).sort(function(a, b) {
+                return b.length - a.length;
+            })[0];
+            baseUrl = baseUrl[namespace || '*'];
+        }
+
+        if (!baseUrl) {
+            this.logger.warn('没有找到接口 URL 的 baseUrl', this.env, name, url);
+            return url;
+        }
+
+        return baseUrl.replace(/\/+$/, '') + '/' + url.replace(/^\/+/, '');
+    }
+
+    /**
+     * 发送 HTTP 请求
+     * 
+     * @override
+     * @param {object} [requestOptions] 扩展了 wx.requesst 的 options
+     * @param {boolean} [requestOptions._showLoading=true] 是否显示 loading 提示
+     * @param {boolean} [requestOptions._showLoadingMask=false] 是否显示 loading 提示的 mask
+     * @param {boolean|string} [requestOptions._interceptDuplicateRequest=false] 是否拦截重复请求, 拦截的方式: `drop`(同 true, 丢弃重复的请求) | `share`(共享相同请求的结果)
+     * @param {boolean} [requestOptions._showFailTip=true] 接口调用出错时是否给用户提示错误消息
+     * @param {number} [requestOptions._showFailTipDuration] 接口调用出错时错误信息的显示多长时间(ms)
+     * @param {number} [requestOptions._cacheTtl] 缓存的存活时间(ms)
+     * @param {string} [requestOptions._cacheStrategy='cache-first'] 缓存策略: `cache-first` | `stale-while-revalidate` | `network-first` | `cache-only` | `network-only`
+     * @param {string|Array<string>} [requestOptions._invalidateCache] 接口调用成功后需要清除缓存的接口名或者 namespace
+     * @param {Function} [requestOptions._normalizeRequestResult] 标准化接口返回的数据格式
+     * @param {string} [requestOptions._type='request'] 请求的类型: `request` | `uploadFile` | `downloadFile` | `socket`(WebSocket 通道, 通过 channel 获取)
+     * @param {string} [requestOptions._offline] 设置为 `queue` 时, 修改类的请求因为网络不可用而失败后保存到离线队列中, 在网络恢复后自动重新发送, 以错误码 C107 拒绝
+     * @param {number} [requestOptions._offlineTtl] 请求在离线队列中的存活时长(ms)
+     * @param {object} [requestOptions._pagination] 分页的方式(用于 paginate), 参考 `WeappBackendApi.Paginator.defaults`
+     * @param {object} [requestOptions._socket] WebSocket 通道的配置(用于 channel, 需要设置 `_type: 'socket'`), 参考 `WeappBackendApi.defaults.socket`
+     * @param {object} [requestOptions._poll] 轮询的配置(用于 poll), 参考 `WeappBackendApi.Poller.defaults`
+     * @param {boolean|string} [requestOptions._batch] 合并到批量接口中发送, 设置为批量接口的名称, 设置为 true 时为 `WeappBackendApi.defaults.batch.api`
+     * @param {boolean} [requestOptions._telemetry=true] 是否收集这个请求的监控数据(开启了 useTelemetry 时)
+     * @param {object} [requestOptions._requestSchema] 请求数据(data)的 JSON Schema, 不符合时不发送请求, 以错误码 C106 拒绝
+     * @param {object} [requestOptions._responseSchema] 接口返回数据(标准接口数据格式中的 data)的 JSON Schema, 不符合时以错误码 C106 拒绝
+     * @param {Function} [requestOptions._onProgressUpdate] 上传或者下载文件的进度回调, 参数与 wx 的 `UploadTask.onProgressUpdate` 一致
+     * @param {object} [requestOptions._params] 填充接口 URL 中占位符的 path 参数, 例如: `{userId: 1}`
+     * @param {object|number|boolean} [requestOptions._retry] 请求失败时的重试策略, 参考 `WeappBackendApi.defaults.retry`
+     * @param {CancelToken} [requestOptions._cancelToken] 取消请求的令牌
+     * @param {number} [requestOptions._priority=0] 请求的优先级, 超出同时发送请求的数量时, 优先级高的请求先发送
+     * @param {object|Function} [requestOptions._mock] 使用模拟数据来代替真实的请求, 参考 `WeappBackendApi.defaults.mock`,
+     *                          可以设置 `data` 为模拟的接口数据或者生成模拟数据的方法(参数为 requestOptions),
+     *                          设置 `errMsg` 模拟 wx.request API 调用失败, 设置 `enabled: false` 关闭模拟请求
+     * @param {string} [requestOptions._codec] 加密请求数据的 codec 的名称, 参考 `useCodec`
+     * @param {boolean} [requestOptions._cacheEncrypted=false] 缓存数据是否加密保存(使用 `_codec`)
+     * @param {boolean} [requestOptions._sign] 是否签名(开启了 useSigner 时), 没有设置时根据签名器的 scope 判断
+     * @param {boolean} [requestOptions._skipAuth=false] 是否跳过登录态的统一处理, 例如刷新登录态时发送的请求
+     */
+    $sendHttpRequest(requestOptions) {
+        // 因为调用过 wx.request(requestOptions) 之后, 请求的 URL 会被微信小程序的 API 改写,
+        // 即 requestOptions.url 参数会被改写,
+        // 例如原来的 URL 是: https://domian.com/a  data 是 {a:1}
+        // 那么 data 会被追加到 URL 上, 变成: https://domian.com/a?a=1
+        // 由于我们计算同一个请求的签名是根据 URL 来的, 如果前后 URL 不一致, 就会造成无法辨别出重复请求
+        // 因此这里我们需要保存原始的 URL 参数
+        requestOptions._url = requestOptions.url;
+
+        // 接口名写错了(没有找到对应的接口配置)时不发送请求, 避免请求到错误的 URL
+        if (requestOptions._apiNotFound) {
+            return this._clientFailHandler(requestOptions, WeappBackendApi.defaults.API_NOT_FOUND_STATUS, {
+                name: requestOptions._name
+            });
+        }
+
+        var unresolvedPathParams = this._getUnresolvedPathParams(requestOptions.url);
+        if (unresolvedPathParams.length > 0) {
+            return this._clientFailHandler(requestOptions, WeappBackendApi.defaults.PATH_PARAMS_FAIL_STATUS, {
+                unresolvedPathParams: unresolvedPathParams,
+                params: requestOptions._params
+            });
+        }
+
+        // 请求的数据不符合 schema 时不发送请求
+        var schemaErrors = this._validateSchema(requestOptions, 'request', requestOptions.data);
+        if (schemaErrors.length > 0) {
+            return this._clientFailHandler(requestOptions, WeappBackendApi.defaults.SCHEMA_FAIL_STATUS, {
+                target: 'request',
+                errors: schemaErrors
+            });
+        }
+
+        // 请求各个阶段的时间, 用于监控请求的耗时
+        requestOptions._timing = {
+            start: Date.now()
+        };
+
+        // 每个请求都有自己的取消令牌, 再关联上传入的取消令牌(可能是多个请求共用的)
+        var canceler = requestOptions._canceler = new CancelToken();
+        var removeCancelListener = requestOptions._cancelToken ? requestOptions._cancelToken.onCancel(function(reason) {
+            canceler.cancel(reason);
+        }) : function() {};
+
+        var requestInfoHash = this._getRequestInfoHash(requestOptions);
+
+        this.pending.push(requestOptions);
+        var settled = () => {
+            removeCancelListener();
+            this.pending.splice(this.pending.indexOf(requestOptions), 1);
+            if (this.inflight[requestInfoHash] === promise) {
+                delete this.inflight[requestInfoHash];
+            }
+        };
+
+        var promise = this._runRequestMiddlewares(requestOptions, this._getMiddlewares(requestOptions)).then(function(result) {
+            settled();
+            return result;
+        }, function(requestResult) {
+            settled();
+            return Promise.reject(requestResult);
+        });
+
+        // 重复的请求共享的是最先发出的请求的结果
+        if (!this.inflight.hasOwnProperty(requestInfoHash)) {
+            this.inflight[requestInfoHash] = promise;
+        }
+
+        return promise;
+    }
+
+    /**
+     * 取消所有还没有结束的请求
+     * 
+     * 被取消的请求会以错误码 C102 拒绝, 但不会给用户提示错误消息
+     * 
+     * @param {*} [reason] 取消的原因
+     * @return {WeappBackendApi} this
+     */
+    cancelAll(reason) {
+        this.pending.slice().forEach(function(requestOptions) {
+            requestOptions._canceler.cancel(reason);
+        });
+        return this;
+    }
+
+    /**
+     * 取消某个 namespace 下所有还没有结束的请求
+     * 
+     * @param {string} namespace 接口名的 namespace
+     * @param {*} [reason] 取消的原因
+     * @return {WeappBackendApi} this
+     */
+    cancelByNamespace(namespace, reason) {
+        this.pending.filter((requestOptions) => {
+            return this._isInScope(namespace, requestOptions);
+        }).forEach(function(requestOptions) {
+            requestOptions._canceler.cancel(reason);
+        });
+        return this;
+    }
+
+    /**
+     * 销毁实例, 取消监听平台的事件(例如离线队列对网络状态变化的监听), 不再使用实例时调用
+     * 
+     * @return {WeappBackendApi} this
+     */
+    destroy() {
+        this.offlineQueue.destroy();
+        return this;
+    }
+
+    /**
+     * 开启登录态过期的统一处理
+     * 
+     * 请求返回登录态过期时, 暂停发送新的请求, 刷新登录态(同时过期的多个请求只会刷新一次), 再用新的登录态重新发送过期的请求和等待中的请求,
+     * 只有在刷新登录态失败时, 调用方才会收到错误(错误码 C104)
+     * 
+     * @param {object} auth
+     * @param {Function} auth.refresh 刷新登录态的方法(例如重新登录或者刷新 token), 需要返回 Promise,
+     *                   在其中发送的请求需要设置 `_skipAuth: true`, 避免等待刷新登录态的结束
+     * @param {Function} [auth.isSessionExpired] 判断请求的结果是否为登录态过期 `(requestOptions, requestResult)`, 默认为 HTTP 401 状态
+     * @param {Function} [auth.applyCredentials] 在发送请求前带上登录态 `(requestOptions)`, 例如设置 header 中的 token
+     * @param {string|Array<string>|Function} [auth.scope] 作用域, 参考中间件的 scope
+     * @return {WeappBackendApi} this
+     */
+    useAuth(auth) {
+        this.auth = extend({}, WeappBackendApi.defaults.auth, auth);
+        this.use(extend({}, WeappBackendApi.middlewares.auth, {
+            scope: auth.scope
+        }));
+        return this;
+    }
+
+    /**
+     * 开启请求的监控, 收集每个请求的耗时, 缓存命中, 重试次数和错误码, 交给上报器批量上报
+     * 
+     * 监控的中间件在最前面, 因此可以收集到命中缓存和拦截重复请求的情况, 设置 `_telemetry: false` 的请求不会被收集(例如上报监控数据的请求)
+     * 
+     * @param {TelemetryReporter} reporter 上报器
+     * @return {WeappBackendApi} this
+     */
+    useTelemetry(reporter) {
+        this.telemetry = reporter;
+        this.telemetry.start(this.adapter, this.logger);
+
+        var first = this.middlewares[0];
+        this.use(WeappBackendApi.middlewares.telemetry, first && first.name !== 'telemetry' ? {
+            before: first.name
+        } : {});
+        return this;
+    }
+
+    /**
+     * 创建接口的分页加载器, 分页的方式配置在接口配置的 `_pagination` 中, 参考 `Paginator.defaults`
+     * 
+     * @param {string} name 接口的名称
+     * @param {object} [options] 请求参数, 例如列表的筛选条件
+     * @param {string} [namespace] 接口名的 namespace
+     * @return {Paginator}
+     */
+    paginate(name, options = {}, namespace = '') {
+        return new Paginator(this, name, options, namespace);
+    }
+
+    /**
+     * 轮询接口, 直到接口返回的数据达到终止的状态, 轮询的配置通过 `_poll` 设置, 参考 `Poller.defaults`
+     * 
+     * 轮询的请求不显示 loading 提示, 单次请求失败时不提示错误消息, 小程序切换到后台时暂停轮询
+     * 
+     * @param {string} name 接口的名称
+     * @param {object} [options] 请求参数
+     * @param {string} [namespace] 接口名的 namespace
+     * @return {Poller} 通过 `promise` 获取轮询的结果, 通过 `stop()` 停止轮询(例如页面卸载时)
+     */
+    poll(name, options = {}, namespace = '') {
+        return new Poller(this, name, options, namespace, new CancelToken()).start();
+    }
+
+    /**
+     * 获取 WebSocket 通道, 通道配置在 apiConfig 中(`_type: 'socket'`), 同一个接口只会创建一个通道
+     * 
+     * @param {string} name 接口的名称
+     * @param {object} [options] 通道的参数, 只在第一次获取时有效, 例如 `header` 和 `_socket`
+     * @param {string} [namespace] 接口名的 namespace
+     * @return {SocketChannel}
+     */
+    channel(name, options = {}, namespace = '') {
+        var requestOptions = this._getRequestOptions(name, options, namespace);
+        var channelName = requestOptions._name || requestOptions.url;
+
+        if (!this.channels[channelName] || this.channels[channelName].state === 'closed') {
+            if (requestOptions._type !== 'socket' && !requestOptions._apiNotFound) {
+                this.logger.warn('接口没有配置为 WebSocket 通道(_type: \'socket\')', channelName);
+            }
+            this.channels[channelName] = new SocketChannel(this, requestOptions, WeappBackendApi.defaults);
+        }
+        return this.channels[channelName];
+    }
+
+    /**
+     * 关闭所有的 WebSocket 通道
+     * 
+     * @param {*} [reason] 关闭的原因
+     * @return {WeappBackendApi} this
+     */
+    closeChannels(reason) {
+        for (var channelName in this.channels) {
+            this.channels[channelName].close(reason);
+        }
+        this.channels = {};
+        return this;
+    }
+
+    /**
+     * 注册加密请求数据的 codec, 在接口配置中通过 `_codec: name` 使用
+     * 
+     * 发送请求前加密请求的数据(`data`), 请求成功后在 `_normalizeRequestResult` 之前解密接口返回的数据,
+     * 缓存, 拦截重复请求和离线队列使用的仍然是原始的数据
+     * 
+     * @param {string} name codec 的名称
+     * @param {object} codec
+     * @param {Function} codec.encrypt 加密请求的数据 `(data, key, requestOptions)`, 返回发送的数据
+     * @param {Function} codec.decrypt 解密接口返回的数据 `(data, key, requestOptions)`, 返回解密后的数据, 出错时抛出异常
+     * @param {Function} [codec.getKey] 获取密钥(例如与服务端交换密钥) `(requestOptions)`, 可以返回 Promise,
+     *                   结果会一直使用, 直到密钥失效
+     * @param {Function} [codec.isKeyExpired] 判断请求的结果是否为密钥失效 `(requestOptions, requestResult)`
+     * @param {Function} [codec.rotateKey] 密钥失效时更新密钥 `(requestOptions, requestResult)`, 可以返回 Promise, 默认重新调用 `getKey`
+     * @param {string|Function} [codec.storageKey] 加密缓存数据(`_cacheEncrypted`)的密钥, 也可以是获取密钥的方法 `(requestOptions)`(只能同步返回),
+     *                          默认为当前的密钥
+     * @return {WeappBackendApi} this
+     */
+    useCodec(name, codec) {
+        this.codecs[name] = {
+            codec: codec,
+            // 当前的密钥
+            key: undefined,
+            // 正在获取的密钥(Promise)
+            keyPromise: null,
+            // 更新密钥的次数, 用于判断请求发出之后是否已经更新过密钥
+            epoch: 0,
+            // 正在更新密钥(密钥失效的请求结果)
+            rotating: null
+        };
+        return this;
+    }
+
+    /**
+     * 开启请求签名, 在请求真正发出之前(包括每一次重试)给请求加上时间戳, 随机数和签名
+     * 
+     * 通过 `signer.options.scope` 指定需要签名的接口名或者 namespace, 也可以在接口配置中设置 `_sign: true/false`
+     * 
+     * @param {RequestSigner} signer 签名器
+     * @return {WeappBackendApi} this
+     */
+    useSigner(signer) {
+        this.signer = signer;
+        return this;
+    }
+
+    /**
+     * 收集一个请求的监控数据
+     * 
+     * @param {object} requestOptions
+     * @param {object} requestResult
+     * @param {boolean} success 接口是否调用成功
+     */
+    _reportTelemetry(requestOptions, requestResult, success) {
+        var completed = Date.now();
+        // 发送请求之前的客户端错误还没有开始计时
+        var timing = requestOptions._timing || {
+            start: completed
+        };
+        var getTime = function(time) {
+            return time ? time - timing.start : undefined;
+        };
+
+        this.telemetry.report({
+            name: requestOptions._name,
+            method: (requestOptions.method || 'GET').toUpperCase(),
+            url: requestOptions._url,
+            success: success,
+            errorCode: success ? '' : this._getErrorCode(requestResult.data),
+            cacheHit: !!requestOptions._cacheHit,
+            attempts: requestOptions._attempts || 0,
+            // 各个阶段距离开始发送请求的时长(ms)
+            timing: {
+                queued: getTime(timing.queued),
+                sent: getTime(timing.sent),
+                firstByte: getTime(timing.firstByte),
+                completed: getTime(completed)
+            },
+            timestamp: timing.start,
+            data: requestOptions.data
+        });
+    }
+
+    /**
+     * 刷新登录态, 刷新期间暂停发送新的请求
+     * 
+     * @return {Promise}
+     */
+    _refreshAuth() {
+        if (this.authRefreshing) {
+            return this.authRefreshing;
+        }
+
+        this.logger.info('登录态过期, 刷新登录态');
+        this._pause('auth');
+
+        this.authRefreshing = Promise.resolve().then(() => {
+            return this.auth.refresh.call(this);
+        }).then(() => {
+            this.authEpoch += 1;
+            this.authRefreshing = null;
+            this._resume('auth');
+        }, (reason) => {
+            this.logger.warn('刷新登录态失败', reason);
+
+            this.authRefreshing = null;
+            // 只拒绝等待刷新登录态的请求, 还在等待其他原因(例如加载接口配置)的请求继续等待
+            this._rejectStalled(this._getAuthFailResult(reason), 'auth');
+            this._resume('auth');
+            return Promise.reject(reason);
+        });
+
+        return this.authRefreshing;
+    }
+
+    /**
+     * 获取刷新登录态失败时的结果
+     * 
+     * @param {*} reason 刷新登录态失败的原因
+     * @return {object}
+     */
+    _getAuthFailResult(reason) {
+        return {
+            data: {
+                status: WeappBackendApi.defaults.AUTH_FAIL_STATUS,
+                _errorType: 'C',
+                statusInfo: {
+                    message: WeappBackendApi.defaults.AUTH_FAIL_MESSAGE,
+                    detail: {
+                        reason: reason
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * 获取轮询超时的结果
+     * 
+     * @param {object} requestOptions
+     * @param {object} detail 轮询的情况, 例如请求的次数和轮询的时长
+     * @return {object}
+     */
+    _getPollTimeoutResult(requestOptions, detail) {
+        return {
+            data: {
+                status: WeappBackendApi.defaults.POLL_TIMEOUT_STATUS,
+                _errorType: 'C',
+                statusInfo: {
+                    message: WeappBackendApi.defaults.POLL_TIMEOUT_MESSAGE,
+                    detail: detail
+                }
+            }
+        };
+    }
+
+    /**
+     * 请求是否已经被取消了
+     * 
+     * @param {object} requestOptions
+     * @return {boolean}
+     */
+    _isCancelled(requestOptions) {
+        return !!requestOptions._canceler && requestOptions._canceler.isCancelled();
+    }
+
+    /**
+     * 在请求被取消时 reject
+     * 
+     * @param {object} requestOptions
+     * @param {Promise} promise
+     * @return {Promise}
+     */
+    _untilCancelled(requestOptions, promise) {
+        var removeCancelListener;
+        var cancelPromise = new Promise((resolve, reject) => {
+            removeCancelListener = requestOptions._canceler.onCancel(() => {
+                reject(this._getCancelResult(requestOptions));
+            });
+        });
+
+        return Promise.race([promise, cancelPromise]).then(function(result) {
+            removeCancelListener();
+            return result;
+        }, function(reason) {
+            removeCancelListener();
+            return Promise.reject(reason);
+        });
+    }
+
+    /**
+     * 获取请求被取消时的结果
+     * 
+     * @param {object} requestOptions
+     * @return {object}
+     */
+    _getCancelResult(requestOptions) {
+        return {
+            errMsg: 'request:fail abort',
+            data: {
+                status: WeappBackendApi.defaults.REQUEST_CANCEL_STATUS,
+                _errorType: 'C',
+                statusInfo: {
+                    message: WeappBackendApi.defaults.REQUEST_CANCEL_MESSAGE,
+                    detail: {
+                        reason: requestOptions._canceler.reason
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * 依次执行中间件发送请求前的处理, 全部通过后再发送请求
+     * 
+     * 如果有中间件返回了结果(即阻止发送请求), 那么这个结果会作为请求的最终结果,
+     * 并且只有在它之前的中间件(已经处理过这个请求的)会再处理这个结果(`response` 或者 `error`)
+     * 
+     * @param {object} requestOptions
+     * @param {Array<object>} middlewares
+     * @param {number} [index=0]
+     * @return {Promise}
+     */
+    _runRequestMiddlewares(requestOptions, middlewares, index = 0) {
+        if (index >= middlewares.length) {
+            return this._send(requestOptions);
+        }
+
+        var middleware = middlewares[index];
+        var result;
+        if (this._isCancelled(requestOptions)) {
+            result = Promise.reject(this._getCancelResult(requestOptions));
+        } else if (middleware.request) {
+            try {
+                result = middleware.request.call(this, requestOptions);
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+        }
+
+        // 同步返回 undefined 时直接执行后面的中间件, 这样同时发出的请求也能够被识别为重复请求
+        if (typeof result === 'undefined') {
+            return this._runRequestMiddlewares(requestOptions, middlewares, index + 1);
+        }
+
+        // 中间件的处理可能一直是 pending 状态(例如拦截重复请求), 因此需要在请求被取消时结束等待
+        return this._untilCancelled(requestOptions, Promise.resolve(result)).then((result) => {
+            if (typeof result === 'undefined') {
+                return this._runRequestMiddlewares(requestOptions, middlewares, index + 1);
+            }
+
+            return this._runResponseMiddlewares(middlewares.slice(0, index), requestOptions, Promise.resolve(result));
+        }, (requestResult) => {
+            return this._runResponseMiddlewares(middlewares.slice(0, index), requestOptions, Promise.reject(requestResult));
+        });
+    }
+
+    /**
+     * 发送请求并处理请求的返回
+     * 
+     * @param {object} requestOptions
+     * @return {Promise}
+     */
+    _send(requestOptions) {
+        if (this._isCancelled(requestOptions)) {
+            return this._failHandler(requestOptions, this._getCancelResult(requestOptions));
+        }
+
+        var promise = null;
+        var beforeSendResult = this.beforeSend(requestOptions);
+        if (beforeSendResult) {
+            promise = beforeSendResult;
+        } else {
+            promise = this._isEncoded(requestOptions) ? this._requestWithCodec(requestOptions) : this._requestWithRetry(requestOptions);
+            this._addToSending(requestOptions);
+        }
+
+        return promise.then((requestResult) => {
+            // 请求结束后的统一处理如果放在 complete 回调中就不方便实现重写请求返回的数据
+            // 例如接口返回的数据是加密的, 需要统一在 afterSend 中封装解密的逻辑, 改写请求返回的数据,
+            // 做到上层对数据的解密无感知(使用 `_codec` 时, 到这里数据已经解密了)
+            this.afterSend(requestOptions, requestResult);
+            return this._successHandler(requestOptions, requestResult);
+        }, (requestResult) => {
+            this.afterSend(requestOptions, requestResult);
+            return this._failHandler(requestOptions, requestResult);
+        });
+    }
+
+    /**
+     * 请求是否需要加密(`_codec`), 只加密普通的请求, 上传和下载文件的请求以及模拟请求不加密
+     * 
+     * @param {object} requestOptions
+     * @return {boolean}
+     */
+    _isEncoded(requestOptions) {
+        return !!requestOptions._codec && (!requestOptions._type || requestOptions._type === 'request') &&
+               !this._isMockEnabled(requestOptions);
+    }
+
+    /**
+     * 加密请求的数据再发出请求, 请求成功后解密接口返回的数据(在 `_normalizeRequestResult` 之前)
+     * 
+     * 密钥失效(`codec.isKeyExpired`)时更新密钥(同时失效的多个请求只会更新一次), 再用新的密钥重新发送一次请求
+     * 
+     * @param {object} requestOptions
+     * @param {boolean} [keyRotated=false] 是否已经更新过密钥
+     * @return {Promise}
+     */
+    _requestWithCodec(requestOptions, keyRotated = false) {
+        var codecState = this.codecs[requestOptions._codec];
+        if (!codecState) {
+            return Promise.reject(this._getCodecFailResult(requestOptions, 'codec', '没有找到 codec: ' + requestOptions._codec));
+        }
+
+        var codec = codecState.codec;
+        var epoch = codecState.epoch;
+        var key;
+
+        var retryWithNewKey = (requestResult) => {
+            this.logger.info('密钥已失效, 更新密钥后重新发送请求', requestOptions._codec, requestOptions._name, requestResult);
+            // 其他请求已经更新过密钥了
+            if (epoch === codecState.epoch) {
+                this._rotateCodecKey(codecState, requestOptions, requestResult);
+            }
+            return this._requestWithCodec(requestOptions, true);
+        };
+        var isKeyExpired = (requestResult) => {
+            return !keyRotated && !!codec.isKeyExpired && codec.isKeyExpired.call(this, requestOptions, requestResult);
+        };
+
+        return this._getCodecKey(codecState, requestOptions).then((_key) => {
+            key = _key;
+            requestOptions._encodedData = codec.encrypt.call(this, requestOptions.data, key, requestOptions);
+        }).catch((error) => {
+            return Promise.reject(this._getCodecFailResult(requestOptions, 'encrypt', error));
+        }).then(() => {
+            return this._requestWithRetry(requestOptions);
+        }).then((requestResult) => {
+            if (isKeyExpired(requestResult)) {
+                return retryWithNewKey(requestResult);
+            }
+
+            try {
+                requestResult.data = codec.decrypt.call(this, requestResult.data, key, requestOptions);
+            } catch (error) {
+                return Promise.reject(this._getCodecFailResult(requestOptions, 'decrypt', error));
+            }
+            return requestResult;
+        }, (requestResult) => {
+            if (isKeyExpired(requestResult)) {
+                return retryWithNewKey(requestResult);
+            }
+            return Promise.reject(requestResult);
+        });
+    }
+
+    /**
+     * 获取 codec 的密钥, 同时发出的请求共享同一次密钥交换(`codec.getKey`)的结果
+     * 
+     * @param {object} codecState
+     * @param {object} requestOptions
+     * @return {Promise}
+     */
+    _getCodecKey(codecState, requestOptions) {
+        if (!codecState.keyPromise) {
+            var codec = codecState.codec;
+            var rotating = codecState.rotating;
+
+            codecState.keyPromise = Promise.resolve().then(() => {
+                if (rotating && codec.rotateKey) {
+                    return codec.rotateKey.call(this, requestOptions, rotating.requestResult);
+                }
+                return codec.getKey ? codec.getKey.call(this, requestOptions) : undefined;
+            }).then(function(key) {
+                codecState.key = key;
+                return key;
+            }, function(reason) {
+                // 下一个请求重新交换密钥
+                codecState.keyPromise = null;
+                return Promise.reject(reason);
+            });
+            codecState.rotating = null;
+        }
+
+        return codecState.keyPromise;
+    }
+
+    /**
+     * 更新 codec 的密钥(`codec.rotateKey`, 没有时重新交换密钥), 原来的密钥不再使用
+     * 
+     * @param {object} codecState
+     * @param {object} requestOptions
+     * @param {object} requestResult 密钥失效的请求结果
+     */
+    _rotateCodecKey(codecState, requestOptions, requestResult) {
+        codecState.epoch += 1;
+        codecState.key = undefined;
+        codecState.keyPromise = null;
+        codecState.rotating = {
+            requestResult: requestResult
+        };
+    }
+
+    /**
+     * 获取加密或者解密失败时的结果
+     * 
+     * @param {object} requestOptions
+     * @param {string} stage 失败的阶段: `codec` 没有找到 codec, `encrypt` 交换密钥或者加密失败, `decrypt` 解密失败
+     * @param {*} error
+     * @return {object}
+     */
+    _getCodecFailResult(requestOptions, stage, error) {
+        this.logger.warn('加密或者解密请求的数据失败', stage, requestOptions._codec, requestOptions._name, error);
+
+        return {
+            data: {
+                status: WeappBackendApi.defaults.CODEC_FAIL_STATUS,
+                _errorType: 'C',
+                statusInfo: {
+                    message: WeappBackendApi.defaults.CODEC_FAIL_MESSAGE,
+                    detail: {
+                        codec: requestOptions._codec,
+                        stage: stage,
+                        error: error && error.message ? error.message : error
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * 发出请求, 请求失败时根据重试策略(`_retry`)自动重试
+     * 
+     * 重试期间请求一直留在发送中的队列里, 因此 loading 提示会持续到最后一次请求结束,
+     * 错误提示也只会在最后一次请求失败后给出
+     * 
+     * @param {object} requestOptions
+     * @param {number} [attempt=1] 第几次发出请求
+     * @return {Promise}
+     */
+    _requestWithRetry(requestOptions, attempt = 1) {
+        requestOptions._attempts = attempt;
+
+        return this._request(requestOptions).catch((requestResult) => {
+            var retryPolicy = this._getRetryPolicy(requestOptions);
+
+            if (!this._shouldRetry(requestOptions, requestResult, retryPolicy, attempt)) {
+                return Promise.reject(requestResult);
+            }
+
+            var delay = this._getRetryDelay(retryPolicy, attempt);
+            this.logger.info(`请求失败, ${delay}ms 后发起第 ${attempt} 次重试`,
+                             requestOptions.method, requestOptions._url, requestOptions.data, requestResult);
+
+            return new Promise(function(resolve, reject) {
+                var timer = setTimeout(function() {
+                    removeCancelListener();
+                    resolve();
+                }, delay);
+                // 等待重试时被取消了
+                var removeCancelListener = requestOptions._canceler.onCancel(function() {
+                    clearTimeout(timer);
+                    reject(requestResult);
+                });
+            }).then(() => {
+                return this._requestWithRetry(requestOptions, attempt + 1);
+            });
+        });
+    }
+
+    /**
+     * 发出请求, 超出同时发送请求的数量时先排队
+     * 
+     * @param {object} requestOptions
+     * @return {Promise} HTTP 请求成功时 resolve, 否则 reject
+     */
+    _request(requestOptions) {
+        return new Promise((resolve, reject) => {
+            var task = null;
+
+            var send = (done) => {
+                // 重试时需要还原被 wx.request 改写过的 URL
+                requestOptions.url = requestOptions._url;
+
+                // 收到开发者服务器成功返回的回调函数
+                // 注意: 收到开发者服务器返回就会回调这个函数, 不管 HTTP 状态是否为 200 也算请求成功
+                // requestResult 包含的属性有: statusCode, header, data, errMsg
+                requestOptions.success = (requestResult) => {
+                    removeCancelListener();
+                    done();
+                    this._syncClock(requestResult);
+
+                    // Determine if HTTP request successful | jQuery
+                    var isHttpRequestSuccess = requestResult.statusCode >= 200 && requestResult.statusCode < 300 || requestResult.statusCode === 304;
+
+                    if (isHttpRequestSuccess) {
+                        resolve(requestResult);
+                    } else { // HTTP 请求失败
+                        reject(requestResult);
+                    }
+                };
+                // 接口调用失败的回调函数
+                // 这个指 wx.request API 调用失败的情况,
+                // 例如没有传 url 参数或者传入的 url 格式错误之类的错误情况
+                // 这时不会有 statusCode 字段, 会有 errMsg 字段
+                requestOptions.fail = function(requestResult) {
+                    removeCancelListener();
+                    done();
+                    reject(requestResult);
+                };
+
+                // 加密的请求(`_codec`)发送的是加密后的数据, requestOptions.data 仍然是原始的数据(用于缓存, 拦截重复请求和离线队列)
+                var transportOptions = requestOptions.hasOwnProperty('_encodedData') ?
+                                       extend({}, requestOptions, {data: requestOptions._encodedData}) : requestOptions;
+
+                // 请求真正发出之前签名, 每次重试都会重新签名
+                if (!requestOptions._batchTask && !this._isMockEnabled(requestOptions) && !this._signRequest(transportOptions)) {
+                    return;
+                }
+
+                // 发出请求
+                if (requestOptions._batchTask) { // 合并到批量接口中发送
+                    task = requestOptions._batchTask;
+                } else if (this._isMockEnabled(requestOptions)) { // 模拟请求
+                    task = this._mockRequest(requestOptions);
+                } else if (requestOptions._type === 'uploadFile') { // 上传文件
+                    task = this.adapter.uploadFile(requestOptions);
+                } else if (requestOptions._type === 'downloadFile') { // 下载文件
+                    task = this.adapter.downloadFile(requestOptions);
+                } else { // 其他请求
+                    task = this.adapter.request(transportOptions);
+                }
+
+                // 上传和下载文件的进度
+                if (requestOptions._onProgressUpdate && task && task.onProgressUpdate) {
+                    task.onProgressUpdate(requestOptions._onProgressUpdate);
+                }
+                // 收到响应头的时间(首字节时间), 平台支持时才会记录
+                if (task && task.onHeadersReceived) {
+                    task.onHeadersReceived(function() {
+                        requestOptions._timing.firstByte = Date.now();
+                    });
+                }
+            };
+            var dequeue = null;
+
+            // 取消请求时中断请求(会回调 fail), 还在排队的请求直接从队列中移除
+            // 需要在排队之前监听, 因为 send 可能会被同步执行, 并且同步回调 success/fail(其中会移除监听)
+            var removeCancelListener = requestOptions._canceler.onCancel(function() {
+                if (task) {
+                    task.abort();
+                } else if (!dequeue || dequeue()) {
+                    reject({
+                        errMsg: 'request:fail abort'
+                    });
+                }
+            });
+            if (this._isCancelled(requestOptions)) {
+                return;
+            }
+
+            // 合并到批量接口中的请求不单独占用同时发送请求的数量, 由合并后的请求来占用
+            dequeue = this._isBatched(requestOptions) ? this._addToBatch(requestOptions, send) : this._schedule(requestOptions, send);
+        });
+    }
+
+    /**
+     * 是否合并到批量接口中发送(`_batch`)
+     * 
+     * 只合并普通的请求, 上传和下载文件的请求以及模拟请求都是单独发送的
+     * 
+     * @param {object} requestOptions
+     * @return {boolean}
+     */
+    _isBatched(requestOptions) {
+        if (!requestOptions._batch || (requestOptions._type && requestOptions._type !== 'request') ||
+            this._isMockEnabled(requestOptions) || requestOptions._codec) {
+            return false;
+        }
+
+        var batchName = this._getBatchName(requestOptions);
+        if (!this.apiConfig.hasOwnProperty(batchName)) {
+            this.logger.warn('没有找到批量接口的配置, 请求会单独发送', batchName, requestOptions._name);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 获取请求合并到的批量接口的名称
+     * 
+     * @param {object} requestOptions
+     * @return {string}
+     */
+    _getBatchName(requestOptions) {
+        return requestOptions._batch === true ? WeappBackendApi.defaults.batch.api : requestOptions._batch;
+    }
+
+    /**
+     * 将请求加入到批量接口的合并窗口中, 窗口结束或者达到合并的数量时一起发送
+     * 
+     * @param {object} requestOptions
+     * @param {Function} send 发出请求的方法, 参考 `_schedule`
+     * @return {Function} 将还没有发送的请求从合并窗口中移除的方法, 返回是否移除成功
+     */
+    _addToBatch(requestOptions, send) {
+        var batchName = this._getBatchName(requestOptions);
+        var batchOptions = this.apiConfig[batchName];
+        var batch = this.batches[batchName];
+        if (!batch) {
+            batch = this.batches[batchName] = {
+                items: [],
+                timer: setTimeout(() => {
+                    this._flushBatch(batchName);
+                }, typeof batchOptions._batchWindow === 'number' ? batchOptions._batchWindow : WeappBackendApi.defaults.batch.window)
+            };
+        }
+
+        var item = {
+            requestOptions: requestOptions,
+            send: send,
+            // 单独发送时从排队中移除的方法
+            dequeue: null
+        };
+        batch.items.push(item);
+        requestOptions._timing.queued = requestOptions._timing.queued || Date.now();
+        // 重试时可能不再合并到批量接口中了
+        delete requestOptions._batchTask;
+
+        if (batch.items.length >= (batchOptions._batchMaxSize || WeappBackendApi.defaults.batch.maxSize)) {
+            this._flushBatch(batchName);
+        }
+
+        return () => {
+            if (item.dequeue) {
+                return item.dequeue();
+            }
+            // 批量接口的请求还在排队, 发送时跳过这个请求
+            if (batch.flushed) {
+                item.aborted = true;
+                return true;
+            }
+
+            var index = batch.items.indexOf(item);
+            if (index != -1) {
+                batch.items.splice(index, 1);
+                return true;
+            }
+            return false;
+        };
+    }
+
+    /**
+     * 将合并窗口中的请求通过批量接口一起发送, 再将批量接口返回的结果拆分给每个请求,
+     * 每个请求的结果与单独发送时一样经过接口数据的适配, 缓存和错误码的处理
+     * 
+     * 批量接口的请求失败(例如 HTTP 异常状态或者业务错误)时, 所有的请求都以批量接口的结果失败
+     * 
+     * @param {string} batchName 批量接口的名称
+     */
+    _flushBatch(batchName) {
+        var batch = this.batches[batchName];
+        if (!batch) {
+            return;
+        }
+        delete this.batches[batchName];
+        clearTimeout(batch.timer);
+        batch.flushed = true;
+
+        var items = batch.items;
+        if (items.length === 0) {
+            return;
+        } else if (items.length === 1) { // 只有一个请求时没有必要合并
+            items[0].dequeue = this._schedule(items[0].requestOptions, items[0].send);
+            return;
+        }
+
+        var batchDefaults = WeappBackendApi.defaults.batch;
+        var batchRequestOptions = this._getRequestOptions(batchName, {
+            data: batchDefaults.toRequest.call(this, items.map(function(item) {
+                return item.requestOptions;
+            }))
+        });
+        batchRequestOptions._timing = {
+            start: Date.now()
+        };
+        // 批量接口的数据是 JSON 格式的
+        batchRequestOptions.header['content-type'] = 'application/json';
+        if (this.auth && this.auth.applyCredentials) {
+            this.auth.applyCredentials.call(this, batchRequestOptions);
+        }
+
+        // 将批量接口的结果拆分给每个请求
+        var settle = function(getResult) {
+            items.forEach(function(item, index) {
+                if (!item.aborted) {
+                    var requestResult = getResult(index);
+                    typeof requestResult.statusCode != 'undefined' ? item.requestOptions.success(requestResult) :
+                                                                     item.requestOptions.fail(requestResult);
+                }
+            });
+        };
+        var batchTask = null;
+
+        // 每个请求都可以单独中断, 所有的请求都中断了才中断批量接口的请求
+        items.forEach(function(item) {
+            item.requestOptions._batchTask = {
+                abort: function() {
+                    if (item.aborted) {
+                        return;
+                    }
+                    item.aborted = true;
+                    item.requestOptions.fail({
+                        errMsg: 'request:fail abort'
+                    });
+
+                    if (batchTask && items.every(function(item) {
+                        return item.aborted;
+                    })) {
+                        batchTask.abort();
+                    }
+                }
+            };
+        });
+
+        this.logger.log('合并到批量接口中发送', batchName, items.map(function(item) {
+            return item.requestOptions._name;
+        }));
+
+        this._schedule(batchRequestOptions, (done) => {
+            batchRequestOptions.success = (requestResult) => {
+                done();
+                this._syncClock(requestResult);
+
+                var results = this._getBatchResults(batchRequestOptions, requestResult);
+                if (!results || results.length !== items.length) {
+                    this.logger.warn('批量接口调用失败', batchName, batchRequestOptions, requestResult);
+                    settle(function() {
+                        // HTTP 异常状态或者业务错误时, 每个请求都以批量接口的结果失败(各自标准化错误数据)
+                        return results === null ? extend(true, {}, requestResult) : {
+                            errMsg: 'request:fail ' + batchDefaults.INVALID_RESULTS_MESSAGE
+                        };
+                    });
+                    return;
+                }
+
+                settle(function(index) {
+                    var result = results[index] || {};
+                    return {
+                        statusCode: typeof result.statusCode != 'undefined' ? result.statusCode : 200,
+                        header: result.header || {},
+                        data: result.data,
+                        errMsg: 'request:ok'
+                    };
+                });
+            };
+            batchRequestOptions.fail = function(requestResult) {
+                done();
+                settle(function() {
+                    return extend({}, requestResult);
+                });
+            };
+
+            // 在排队期间都被取消了
+            if (items.every(function(item) {
+                return item.aborted;
+            })) {
+                done();
+                return;
+            }
+
+            items.forEach(function(item) {
+                if (!item.aborted) {
+                    item.requestOptions._timing.sent = Date.now();
+                    item.send(function() {});
+                }
+            });
+            if (this._signRequest(batchRequestOptions)) {
+                batchTask = this.adapter.request(batchRequestOptions);
+            }
+        });
+    }
+
+    /**
+     * 获取批量接口返回的每个请求的结果
+     * 
+     * @param {object} batchRequestOptions 批量接口的请求参数
+     * @param {object} requestResult 批量接口的请求结果
+     * @return {Array<object>|null} 每个请求的结果 `{statusCode, header, data}`,
+     *                              批量接口 HTTP 异常状态或者业务错误时为 null, 返回的结果格式不正确时为 undefined
+     */
+    _getBatchResults(batchRequestOptions, requestResult) {
+        if (!(requestResult.statusCode >= 200 && requestResult.statusCode < 300)) {
+            return null;
+        }
+
+        var results = WeappBackendApi.defaults.batch.toResults.call(this, requestResult, batchRequestOptions);
+        if (Array.isArray(results)) {
+            return results;
+        }
+
+        var normalizedResult = extend(true, {}, requestResult);
+        this._normalizeRequestResult(batchRequestOptions, normalizedResult);
+        return this._ifApiSuccess(batchRequestOptions, normalizedResult) ? undefined : null;
+    }
+
+    /**
+     * 给请求签名(`useSigner`), 签名失败时直接以请求失败(fail)结束
+     * 
+     * @param {object} requestOptions
+     * @return {boolean} 是否可以发出请求
+     */
+    _signRequest(requestOptions) {
+        if (!this.signer || requestOptions._sign === false ||
+            (requestOptions._sign !== true && !this._isInScope(this.signer.options.scope, requestOptions))) {
+            return true;
+        }
+
+        try {
+            this.signer.sign(requestOptions);
+            return true;
+        } catch (error) {
+            this.logger.warn('请求签名失败', requestOptions._name, requestOptions._url, error);
+            // 与平台的 API 一样异步回调
+            setTimeout(function() {
+                requestOptions.fail({
+                    errMsg: 'request:fail sign error: ' + (error && error.message)
+                });
+            }, 0);
+            return false;
+        }
+    }
+
+    /**
+     * 根据服务端返回的时间校正签名的时间戳
+     * 
+     * @param {object} requestResult
+     */
+    _syncClock(requestResult) {
+        if (this.signer) {
+            this.signer.syncClock(requestResult);
+        }
+    }
+
+    /**
+     * 是否使用模拟数据来代替真实的请求
+     * 
+     * @param {object} requestOptions
+     * @return {boolean}
+     */
+    _isMockEnabled(requestOptions) {
+        var mock = requestOptions._mock;
+        return this.mockEnabled && !!mock && mock.enabled !== false;
+    }
+
+    /**
+     * 模拟发出请求, 模拟的结果与 wx.request 回调的结果一致,
+     * 因此后续的处理(例如 `_normalizeRequestResult`, `_ifApiSuccess`, 缓存和错误码)与真实的请求完全一样
+     * 
+     * @param {object} requestOptions
+     * @return {object} 与 wx.request 返回的 requestTask 一样可以中断请求
+     */
+    _mockRequest(requestOptions) {
+        var mock = requestOptions._mock;
+        if (typeof mock === 'function') {
+            mock = {
+                data: mock
+            };
+        }
+        mock = extend({}, WeappBackendApi.defaults.mock, mock);
+
+        var api = requestOptions._type || 'request';
+        var aborted = false;
+
+        var complete = function(callback, requestResult) {
+            if (aborted) {
+                return;
+            }
+            callback(requestResult);
+            requestOptions.complete && requestOptions.complete(requestResult);
+        };
+        var fail = function(errMsg) {
+            complete(requestOptions.fail, {
+                errMsg: api + ':fail ' + errMsg
+            });
+        };
+
+        var delay = mock.delay;
+        if (Array.isArray(delay)) { // 随机的延迟时长
+            delay = delay[0] + Math.round(Math.random() * (delay[1] - delay[0]));
+        }
+
+        this.logger.info('模拟请求', requestOptions.method, requestOptions.url, mock);
+
+        var timer = setTimeout(() => {
+            if (mock.errMsg) { // 模拟 wx.request API 调用失败
+                fail(mock.errMsg);
+                return;
+            }
+
+            Promise.resolve().then(() => {
+                return typeof mock.data === 'function' ? mock.data.call(this, requestOptions) : mock.data;
+            }).then(function(data) {
+                // 复制一份数据, 避免之后的处理修改了配置的模拟数据
+                data = extend(true, {}, {
+                    data: data
+                }).data;
+
+                var requestResult = {
+                    statusCode: mock.statusCode,
+                    header: extend({}, mock.header),
+                    errMsg: api + ':ok'
+                };
+                if (api === 'downloadFile') { // 模拟数据为下载文件的路径
+                    requestResult.tempFilePath = data;
+                } else {
+                    // wx.uploadFile 返回的数据是 string 类型
+                    requestResult.data = api === 'uploadFile' ? JSON.stringify(data) : data;
+                }
+
+                complete(requestOptions.success, requestResult);
+            }, (error) => {
+                this.logger.warn('生成模拟数据出错', requestOptions, error);
+                fail(error && error.message ? error.message : error);
+            });
+        }, delay);
+
+        return {
+            abort: function() {
+                clearTimeout(timer);
+                fail('abort');
+                aborted = true;
+            }
+        };
+    }
+
+    /**
+     * 按优先级(`_priority`)调度请求, 同时发送请求的数量不超过 `maxConcurrency`
+     * 
+     * 相同优先级的请求按先后顺序发送
+     * 
+     * @param {object} requestOptions
+     * @param {Function} send 发出请求的方法, 请求结束时需要调用传入的 done 方法
+     * @return {Function} 将还在排队的请求从队列中移除的方法, 返回是否移除成功
+     */
+    _schedule(requestOptions, send) {
+        var job = {
+            priority: requestOptions._priority || 0,
+            send: function(done) {
+                requestOptions._timing.sent = Date.now();
+                send(done);
+            },
+            // 发出请求时同步抛出了异常(例如适配器的实现有问题), 与 API 调用失败一样回调 fail
+            fail: function(error) {
+                requestOptions.fail({
+                    errMsg: 'request:fail ' + (error && error.message || error)
+                });
+            }
+        };
+        // 重试的请求只记录第一次排队的时间
+        requestOptions._timing.queued = requestOptions._timing.queued || Date.now();
+
+        var index = this.queue.length;
+        while (index > 0 && this.queue[index - 1].priority < job.priority) {
+            index -= 1;
+        }
+        this.queue.splice(index, 0, job);
+
+        if (this.queue.length > 1 || this.running >= this.maxConcurrency) {
+            this.logger.log('请求排队中', this.queue.length, requestOptions._name, requestOptions._url);
+        }
+
+        this._dequeue();
+
+        return () => {
+            var index = this.queue.indexOf(job);
+            if (index != -1) {
+                this.queue.splice(index, 1);
+                return true;
+            }
+            return false;
+        };
+    }
+
+    /**
+     * 发送排队中的请求
+     */
+    _dequeue() {
+        while (this.running < this.maxConcurrency && this.queue.length > 0) {
+            this._run(this.queue.shift());
+        }
+    }
+
+    /**
+     * 发送一个请求, 占用一个同时发送请求的数量, 请求结束时释放
+     * 
+     * @param {object} job
+     */
+    _run(job) {
+        this.running += 1;
+
+        // 每个请求只能释放一次
+        var done = false;
+        var release = () => {
+            if (!done) {
+                done = true;
+                this.running -= 1;
+                this._dequeue();
+            }
+        };
+
+        try {
+            job.send(release);
+        } catch (error) {
+            // 需要释放占用的数量, 否则排队的请求会一直等待
+            this.logger.warn('发出请求出错', error);
+            release();
+            job.fail(error);
+        }
+    }
+
+    /**
+     * 获取请求的重试策略
+     * 
+     * `_retry` 可以是重试策略的对象(与 `WeappBackendApi.defaults.retry` 合并),
+     * 也可以是数字(表示最多发出请求的次数), 设置为 false 表示不重试
+     * 
+     * @param {object} requestOptions
+     * @return {object}
+     */
+    _getRetryPolicy(requestOptions) {
+        var retry = requestOptions._retry;
+
+        if (typeof retry === 'number') {
+            retry = {
+                maxAttempts: retry
+            };
+        } else if (!retry) {
+            retry = {
+                maxAttempts: 1
+            };
+        }
+
+        return extend(true, {}, WeappBackendApi.defaults.retry, retry);
+    }
+
+    /**
+     * 判断失败的请求是否需要重试
+     * 
+     * - 只重试 A(请求发送失败) 和 H(HTTP 异常状态) 类型的错误, 业务错误(B)是不会重试的
+     * - H 类型的错误只重试 `httpStatus` 中列出的状态码
+     * - 非幂等的请求(例如 POST 和上传文件)需要设置 `nonIdempotent` 才会重试
+     * 
+     * @param {object} requestOptions
+     * @param {object} requestResult wx.request success 或者 fail 返回的结果
+     * @param {object} retryPolicy 重试策略
+     * @param {number} attempt 已经发出请求的次数
+     * @return {boolean}
+     */
+    _shouldRetry(requestOptions, requestResult, retryPolicy, attempt) {
+        if (attempt >= retryPolicy.maxAttempts || this._isCancelled(requestOptions)) {
+            return false;
+        }
+
+        if (!retryPolicy.nonIdempotent && !this._isIdempotent(requestOptions)) {
+            return false;
+        }
+
+        // 收到了开发者服务器的返回, 即 HTTP 异常状态
+        if (typeof requestResult.statusCode != 'undefined') {
+            return retryPolicy.errorTypes.indexOf('H') != -1 &&
+                   retryPolicy.httpStatus.indexOf(requestResult.statusCode) != -1;
+        } else {
+            return retryPolicy.errorTypes.indexOf('A') != -1;
+        }
+    }
+
+    /**
+     * 请求是否为幂等的(即重复发送不会产生副作用)
+     * 
+     * @param {object} requestOptions
+     * @return {boolean}
+     */
+    _isIdempotent(requestOptions) {
+        if (requestOptions._type === 'uploadFile') {
+            return false;
+        }
+
+        // wx.request 默认的 method 为 GET
+        var method = (requestOptions.method || 'GET').toUpperCase();
+        return WeappBackendApi.defaults.IDEMPOTENT_METHODS.indexOf(method) != -1;
+    }
+
+    /**
+     * 获取重试前需要等待的时长(指数退避 + 随机抖动)
+     * 
+     * @param {object} retryPolicy 重试策略
+     * @param {number} attempt 已经发出请求的次数
+     * @return {number} ms
+     */
+    _getRetryDelay(retryPolicy, attempt) {
+        var delay = Math.min(retryPolicy.delay * Math.pow(retryPolicy.factor, attempt - 1), retryPolicy.maxDelay);
+        // 随机减少一部分等待的时长, 避免大量请求在同一时刻重试
+        delay = delay - delay * retryPolicy.jitter * Math.random();
+        return Math.round(delay);
+    }
+
+    /**
+     * 获取一个请求的关键信息
+     * 
+     * - method
+     * - url
+     * - data
+     * - filePath(下载文件时)
+     * 
+     * @param {object} requestOptions 
+     * @return {string} 请求关键信息组合的 MD5 值
+     */
+    _getRequestInfoHash(requestOptions) {
+        var data = '';
+        if (requestOptions.data) {
+            try {
+                data = JSON.stringify(requestOptions.data);
+            } catch (error) {
+                data = requestOptions.data.toString();
+                this.logger.warn('获取一个请求数据的 JSON 字符串失败', requestOptions.data, error);
+            }
+        }
+
+        var requestInfo = requestOptions.method + ' ' + requestOptions._url + ' ' + data;
+        // 下载到不同路径的文件不是相同的请求
+        if (requestOptions._type === 'downloadFile' && requestOptions.filePath) {
+            requestInfo += ' ' + requestOptions.filePath;
+        }
+
+        var requestInfoHash = requestInfo;
+        try {
+            requestInfoHash = md5(requestInfo);
+        } catch (error) {
+            this.logger.warn('获取一个请求的关键信息的 MD5 失败', requestInfo, error);
+        }
+
+        return requestInfoHash;
+    }
+
+    /**
+     * 读取请求的缓存数据
+     * 
+     * @param {object} requestOptions
+     * @return {object} 缓存的请求结果
+     */
+    _getCache(requestOptions) {
+        var cacheKey = this._getCacheKey(requestOptions);
+        var cachedRequestResult = this.simpleStorage.get(cacheKey);
+
+        // 加密保存的缓存数据, 无法解密(例如更换了密钥)时当作没有缓存数据
+        if (cachedRequestResult && cachedRequestResult._encrypted) {
+            cachedRequestResult = this._decryptCache(requestOptions, cachedRequestResult);
+            if (!cachedRequestResult) {
+                this.simpleStorage.remove(cacheKey);
+            }
+        }
+
+        // 缓存的是下载文件的路径时, 文件可能已经不存在了(例如临时文件在小程序重新启动后就失效了)
+        if (cachedRequestResult && requestOptions._type === 'downloadFile' &&
+            this.adapter.accessFile && !this.adapter.accessFile(cachedRequestResult.data.data)) {
+            this.simpleStorage.remove(cacheKey);
+            cachedRequestResult = undefined;
+        }
+
+        // 记录最近使用的时间, 超出缓存的容量时优先清除最久没有使用的缓存数据
+        if (cachedRequestResult) {
+            var cacheIndex = this._getCacheIndex();
+            if (cacheIndex[cacheKey]) {
+                cacheIndex[cacheKey].accessed = Date.now();
+                this.simpleStorage.set(WeappBackendApi.defaults.CACHE_INDEX_KEY, cacheIndex);
+            }
+        }
+
+        return cachedRequestResult;
+    }
+
+    /**
+     * 将请求结果写入缓存(会覆盖掉原来的缓存数据)
+     * 
+     * @param {object} requestOptions
+     * @param {object} requestResult
+     */
+    _setCache(requestOptions, requestResult) {
+        var cacheKey = this._getCacheKey(requestOptions);
+
+        if (requestOptions._cacheEncrypted) {
+            requestResult = this._encryptCache(requestOptions, requestResult);
+            if (!requestResult) {
+                return;
+            }
+        }
+
+        var size = 0;
+        try {
+            size = JSON.stringify(requestResult).length;
+        } catch (error) {
+            this.logger.warn('获取缓存数据的大小失败', requestResult, error);
+        }
+
+        if (size > WeappBackendApi.defaults.CACHE_MAX_SIZE) {
+            this.logger.warn('缓存数据超出了缓存的容量, 不写入缓存', size, requestOptions._name, requestOptions.url);
+            return;
+        }
+
+        this.simpleStorage.set(cacheKey, requestResult, {
+            ttl: requestOptions._cacheTtl
+        });
+
+        // 记录缓存数据属于哪个接口和分区, 用于清除缓存
+        var cacheIndex = this._getCacheIndex();
+        cacheIndex[cacheKey] = {
+            name: requestOptions._name || '',
+            partition: this._getCachePartitionId(),
+            env: this.env,
+            size: size,
+            accessed: Date.now()
+        };
+        this._evictCache(cacheIndex);
+        this.simpleStorage.set(WeappBackendApi.defaults.CACHE_INDEX_KEY, cacheIndex);
+    }
+
+    /**
+     * 获取加密缓存数据的密钥
+     * 
+     * @param {object} requestOptions
+     * @return {object} `{codec, key}`, 没有 codec 或者还没有密钥时为 undefined
+     */
+    _getCacheCodec(requestOptions) {
+        var codecState = this.codecs[requestOptions._codec];
+        if (!codecState) {
+            return;
+        }
+
+        var storageKey = codecState.codec.storageKey;
+        var key = typeof storageKey === 'function' ? storageKey.call(this, requestOptions) :
+                  typeof storageKey !== 'undefined' ? storageKey : codecState.key;
+        if (typeof key === 'undefined') {
+            return;
+        }
+
+        return {
+            codec: codecState.codec,
+            key: key
+        };
+    }
+
+    /**
+     * 加密要保存的缓存数据(`_cacheEncrypted`)
+     * 
+     * @param {object} requestOptions
+     * @param {object} requestResult
+     * @return {object} 加密后的缓存数据, 无法加密时为 undefined(不写入缓存, 不能明文保存)
+     */
+    _encryptCache(requestOptions, requestResult) {
+        var cacheCodec = this._getCacheCodec(requestOptions);
+        if (!cacheCodec) {
+            this.logger.warn('没有加密缓存数据的密钥, 不写入缓存', requestOptions._codec, requestOptions._name);
+            return;
+        }
+
+        try {
+            return extend({}, requestResult, {
+                data: cacheCodec.codec.encrypt.call(this, requestResult.data, cacheCodec.key, requestOptions),
+                _encrypted: true
+            });
+        } catch (error) {
+            this.logger.warn('加密缓存数据失败, 不写入缓存', requestOptions._codec, requestOptions._name, error);
+        }
+    }
+
+    /**
+     * 解密读取到的缓存数据
+     * 
+     * @param {object} requestOptions
+     * @param {object} cachedRequestResult
+     * @return {object} 解密后的缓存数据, 无法解密时为 undefined
+     */
+    _decryptCache(requestOptions, cachedRequestResult) {
+        var cacheCodec = this._getCacheCodec(requestOptions);
+        if (!cacheCodec) {
+            return;
+        }
+
+        try {
+            var requestResult = extend({}, cachedRequestResult, {
+                data: cacheCodec.codec.decrypt.call(this, cachedRequestResult.data, cacheCodec.key, requestOptions)
+            });
+            delete requestResult._encrypted;
+            return requestResult;
+        } catch (error) {
+            this.logger.warn('解密缓存数据失败', requestOptions._codec, requestOptions._name, error);
+        }
+    }
+
+    /**
+     * 超出缓存的容量时, 清除最久没有使用的缓存数据(LRU)
+     * 
+     * @param {object} cacheIndex
+     */
+    _evictCache(cacheIndex) {
+        var cacheKeys = Object.keys(cacheIndex);
+        var totalSize = cacheKeys.reduce(function(totalSize, cacheKey) {
+            return totalSize + cacheIndex[cacheKey].size;
+        }, 0);
+
+        if (totalSize <= WeappBackendApi.defaults.CACHE_MAX_SIZE) {
+            return;
+        }
+
+        cacheKeys.sort(function(a, b) {
+            return cacheIndex[a].accessed - cacheIndex[b].accessed;
+        });
+        for (var i = 0; i < cacheKeys.length && totalSize > WeappBackendApi.defaults.CACHE_MAX_SIZE; i++) {
+            totalSize -= cacheIndex[cacheKeys[i]].size;
+            this.simpleStorage.remove(cacheKeys[i]);
+            delete cacheIndex[cacheKeys[i]];
+        }
+    }
+
+    /**
+     * 获取缓存数据的 key, 不同分区的缓存数据互相隔离
+     * 
+     * @param {object} requestOptions
+     * @return {string}
+     */
+    _getCacheKey(requestOptions) {
+        var requestInfoHash = this._getRequestInfoHash(requestOptions);
+        var partitionId = this._getCachePartitionId();
+        return partitionId ? partitionId + '.' + requestInfoHash : requestInfoHash;
+    }
+
+    /**
+     * 获取当前缓存分区的标识(分区 key 的 MD5 值, 避免在本地存储中暴露用户信息)
+     * 
+     * @param {string|Function} [partition=this.cachePartition]
+     * @return {string}
+     */
+    _getCachePartitionId(partition = this.cachePartition) {
+        if (typeof partition === 'function') {
+            partition = partition.call(this);
+        }
+        return partition ? md5(String(partition)) : '';
+    }
+
+    /**
+     * 设置缓存的分区, 例如按用户 ID, token 或者租户来隔离缓存数据, 避免切换用户后读取到其他用户的缓存数据
+     * 
+     * @param {string|Function} partition 分区的 key, 也可以是返回分区 key 的函数(每次读写缓存时调用)
+     * @param {boolean} [purge=true] 分区变化时是否清除原来分区的缓存数据
+     * @return {WeappBackendApi} this
+     */
+    setCachePartition(partition, purge = true) {
+        var oldPartitionId = this._getCachePartitionId();
+        this.cachePartition = partition;
+
+        if (purge && oldPartitionId !== this._getCachePartitionId()) {
+            this._removeCache((cacheIndexItem) => {
+                return cacheIndexItem.partition === oldPartitionId;
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * 清除某个分区的缓存数据
      * 
-     * @override
+     * @param {string} partition 分区的 key
+     * @return {WeappBackendApi} this
      */
-    afterSend(requestOptions, requestResult) {
-        this._removeFromSending(requestOptions);
-
-        if (!this._isAnySending(true)) {
-            this._hideLoading(requestOptions);
-        }
+    clearCachePartition(partition) {
+        var partitionId = this._getCachePartitionId(partition);
+        this._removeCache(function(cacheIndexItem) {
+            return cacheIndexItem.partition === partitionId;
+        });
+        return this;
     }
 
-    _showLoading(requestOptions) {
-        if (requestOptions._showLoading !== false) {
-            wx.showLoading({
-                icon: 'loading',
-                title: WeappBackendApi.defaults.LOADING_MESSAGE,
-                mask: requestOptions._showLoadingMask
-            });
-        }
-        // 即使设置为不显示 loading 提示, 但顶部的 loading 提示还是要给出的,
-        // 因为发送了请求出去, 总要给予一定的反馈信息(例如移动网络有数据交互时的提示)
-        wx.showNavigationBarLoading();
+    /**
+     * @return {object} 缓存数据的索引(key 与接口名, 分区, 大小和最近使用时间的映射)
+     */
+    _getCacheIndex() {
+        return this.simpleStorage.get(WeappBackendApi.defaults.CACHE_INDEX_KEY) || {};
     }
 
-    _hideLoading(requestOptions) {
-        wx.hideLoading();
-        wx.hideNavigationBarLoading();
+    /**
+     * 将缓存数据作为请求的结果
+     * 
+     * @param {object} requestOptions
+     * @param {object} cachedRequestResult
+     * @return {Array}
+     */
+    _getCacheResult(requestOptions, cachedRequestResult) {
+        requestOptions._cacheHit = true;
+
+        this.logger.log('----------------------');
+        this.logger.log('from cache', requestOptions._cacheStrategy || 'cache-first');
+        this.logger.log('----------------------');
+
+        var result = cachedRequestResult.data;
+        return [
+            result ? result.data : result,
+            cachedRequestResult
+        ];
     }
 
     /**
-     * 发送 HTTP 请求
+     * 在后台发送请求更新缓存数据, 不显示 loading 提示和错误提示
      * 
-     * @override
-     * @param {object} [requestOptions] 扩展了 wx.requesst 的 options
-     * @param {boolean} [requestOptions._showLoading=true] 是否显示 loading 提示
-     * @param {boolean} [requestOptions._showLoadingMask=false] 是否显示 loading 提示的 mask
-     * @param {boolean} [requestOptions._interceptDuplicateRequest=false] 是否拦截重复请求
-     * @param {boolean} [requestOptions._showFailTip=true] 接口调用出错时是否给用户提示错误消息
-     * @param {number} [requestOptions._showFailTipDuration] 接口调用出错时错误信息的显示多长时间(ms)
-     * @param {number} [requestOptions._cacheTtl] 缓存的存活时间(ms)
-     * @param {Function} [requestOptions._normalizeRequestResult] 标准化接口返回的数据格式
-     * @param {string} [requestOptions._type='request'] 请求的类型: `request` | `uploadFile`
+     * @param {object} requestOptions
      */
-    $sendHttpRequest(requestOptions) {
-        // 因为调用过 wx.request(requestOptions) 之后, 请求的 URL 会被微信小程序的 API 改写,
-        // 即 requestOptions.url 参数会被改写,
-        // 例如原来的 URL 是: https://domian.com/a  data 是 {a:1}
-        // 那么 data 会被追加到 URL 上, 变成: https://domian.com/a?a=1
-        // 由于我们计算同一个请求的签名是根据 URL 来的, 如果前后 URL 不一致, 就会造成无法辨别出重复请求
-        // 因此这里我们需要保存原始的 URL 参数
-        requestOptions._url = requestOptions.url;
-
-        var promise = null;
-        var beforeSendResult = this.beforeSend(requestOptions);
-        if (beforeSendResult) {
-            promise = beforeSendResult;
-        } else {
-            promise = new Promise((resolve, reject) => {
-                // 收到开发者服务器成功返回的回调函数
-                // 注意: 收到开发者服务器返回就会回调这个函数, 不管 HTTP 状态是否为 200 也算请求成功
-                // requestResult 包含的属性有: statusCode, header, data, errMsg
-                requestOptions.success = function(requestResult) {
-                    // Determine if HTTP request successful | jQuery
-                    var isHttpRequestSuccess = requestResult.statusCode >= 200 && requestResult.statusCode < 300 || requestResult.statusCode === 304;
-
-                    if (isHttpRequestSuccess) {
-                        resolve(requestResult);
-                    } else { // HTTP 请求失败
-                        reject(requestResult);
-                    }
-                };
-                // 接口调用失败的回调函数
-                // 这个指 wx.request API 调用失败的情况,
-                // 例如没有传 url 参数或者传入的 url 格式错误之类的错误情况
-                // 这时不会有 statusCode 字段, 会有 errMsg 字段
-                requestOptions.fail = function(requestResult) {
-                    reject(requestResult);
-                };
+    _revalidateCache(requestOptions) {
+        var _requestOptions = extend(true, {}, requestOptions, {
+            _cacheStrategy: 'network-first',
+            _showLoading: false,
+            _showFailTip: false,
+            _interceptDuplicateRequest: 'share'
+        });
 
-                // 发出请求
-                if (requestOptions._type === 'uploadFile') { // 上传文件
-                    wx.uploadFile(requestOptions);
-                } else { // 其他请求
-                    wx.request(requestOptions);
-                }
+        this.$sendHttpRequest(_requestOptions).catch((requestResult) => {
+            this.logger.warn('更新缓存数据失败', requestOptions._name, requestOptions.url, requestResult);
+        });
+    }
 
-                this._addToSending(requestOptions);
-            });
+    /**
+     * 清除缓存数据(所有分区)
+     * 
+     * @param {string|Array<string>} [scope] 接口名或者 namespace, 不传时清除所有的缓存数据
+     * @return {WeappBackendApi} this
+     */
+    clearCache(scope) {
+        if (!scope) {
+            this.simpleStorage.clear();
+            return this;
         }
 
-        return promise.then((requestResult) => {
-            // 请求结束后的统一处理如果放在 complete 回调中就不方便实现重写请求返回的数据
-            // 例如接口返回的数据是加密的, 需要统一在 afterSend 中封装解密的逻辑, 改写请求返回的数据,
-            // 做到上层对数据的解密无感知
-            this.afterSend(requestOptions, requestResult);
-            return this._successHandler(requestOptions, requestResult);
-        }, (requestResult) => {
-            this.afterSend(requestOptions, requestResult);
-            return this._failHandler(requestOptions, requestResult);
+        this._removeCache((cacheIndexItem) => {
+            return this._isInScope(scope, {_name: cacheIndexItem.name});
         });
+        return this;
     }
 
     /**
-     * 获取一个请求的关键信息
-     * 
-     * - method
-     * - url
-     * - data
+     * 清除符合条件的缓存数据, 顺便清理掉已经过期了的缓存数据的索引
      * 
-     * @param {object} requestOptions 
-     * @return {string} 请求关键信息组合的 MD5 值
+     * @param {Function} filter 根据缓存数据的索引判断是否需要清除 `(cacheIndexItem, cacheKey)`
      */
-    _getRequestInfoHash(requestOptions) {
-        var data = '';
-        if (requestOptions.data) {
-            try {
-                data = JSON.stringify(requestOptions.data);
-            } catch (error) {
-                data = requestOptions.data.toString();
-                this.logger.warn('获取一个请求数据的 JSON 字符串失败', requestOptions.data, error);
+    _removeCache(filter) {
+        var cacheIndex = this._getCacheIndex();
+
+        for (var cacheKey in cacheIndex) {
+            if (filter(cacheIndex[cacheKey], cacheKey)) {
+                this.simpleStorage.remove(cacheKey);
+                delete cacheIndex[cacheKey];
+            } else if (!this.simpleStorage.has(cacheKey)) {
+                delete cacheIndex[cacheKey];
             }
         }
 
-        var requestInfo = requestOptions.method + ' ' + requestOptions._url + ' ' + data;
-
-        var requestInfoHash = requestInfo;
-        try {
-            requestInfoHash = md5(requestInfo);
-        } catch (error) {
-            this.logger.warn('获取一个请求的关键信息的 MD5 失败', requestInfo, error);
-        }
-
-        return requestInfoHash;
+        this.simpleStorage.set(WeappBackendApi.defaults.CACHE_INDEX_KEY, cacheIndex);
     }
 
     /**
@@ -577,31 +3068,69 @@ class WeappBackendApi extends BackendApi {
         var result = requestResult.data;
 
         if (this._ifApiSuccess(requestOptions, requestResult)) {
+            // 接口返回的数据不符合 schema, 避免格式错误的数据交给页面处理
+            var schemaErrors = this._validateSchema(requestOptions, 'response', result ? result.data : result);
+            if (schemaErrors.length > 0) {
+                requestResult.data = {
+                    status: WeappBackendApi.defaults.SCHEMA_FAIL_STATUS,
+                    _errorType: 'C',
+                    statusInfo: {
+                        message: WeappBackendApi.defaults.CLIENT_FAIL_MESSAGE,
+                        detail: {
+                            target: 'response',
+                            errors: schemaErrors,
+                            result: result
+                        }
+                    }
+                };
+                return this._errorHandler(requestOptions, requestResult);
+            }
+
             this.logger.log(requestOptions.method, requestOptions.url, requestOptions.data,
                             requestOptions, requestResult);
             this.logger.log('----------------------');
 
-            if (requestOptions._cacheTtl >= 0) {
-                var requestInfoHash = this._getRequestInfoHash(requestOptions);
-                if (!this.simpleStorage.has(requestInfoHash)) {
-                    this.simpleStorage.set(requestInfoHash, requestResult, {
-                        ttl: requestOptions._cacheTtl
-                    });
-                }
-            }
-
-            return [
+            return this._runResponseMiddlewares(this._getMiddlewares(requestOptions), requestOptions, Promise.resolve([
                 // 只返回标准接口数据格式中的数据
                 result ? result.data : result,
                 requestResult
-            ];
+            ]));
         } else { // 业务错误
             if (!result) {
                 requestResult.data = result = {};
             }
             result._errorType = 'B';
-            return this.commonFailStatusHandler(requestOptions, requestResult);
+            return this._errorHandler(requestOptions, requestResult);
+        }
+    }
+
+    /**
+     * 校验请求的数据(`_requestSchema`)或者接口返回的数据(`_responseSchema`), 校验失败时输出出错的位置
+     * 
+     * @param {object} requestOptions
+     * @param {string} target 校验的目标: `request` | `response`
+     * @param {*} data 请求的数据或者接口返回的数据(标准接口数据格式中的 data)
+     * @return {Array<object>} 校验错误 `{path, message}`
+     */
+    _validateSchema(requestOptions, target, data) {
+        var schema = target === 'request' ? requestOptions._requestSchema : requestOptions._responseSchema;
+        if (!schema) {
+            return [];
+        }
+
+        // 没有传请求的数据时当作空对象来校验必填的字段
+        if (target === 'request' && typeof data === 'undefined') {
+            data = {};
         }
+
+        var errors = validateSchema(schema, data);
+        if (errors.length > 0) {
+            this.logger.warn((target === 'request' ? '请求的数据' : '接口返回的数据') + '不符合 schema',
+                             requestOptions._name, requestOptions._url, errors.map(function(error) {
+                                 return error.path + ' ' + error.message;
+                             }));
+        }
+        return errors;
     }
 
     /**
@@ -630,10 +3159,25 @@ class WeappBackendApi extends BackendApi {
      * @param {Promise}
      */
     _failHandler(requestOptions, requestResult) {
+        return this._errorHandler(requestOptions, this._getFailResult(requestOptions, requestResult));
+    }
+
+    /**
+     * 根据请求的最终状态标准化错误数据(A/H 类型的错误, 或者请求被取消了), 会改写 `requestResult.data` 的内容
+     * 
+     * @param {object} requestOptions wx.request options
+     * @param {object} requestResult wx.request success 或者 fail 返回的结果
+     * @return {object} requestResult
+     */
+    _getFailResult(requestOptions, requestResult) {
         var result = {};
 
-        // 如果 wx.requet API 调用是成功的, 则一定会有 statusCode 字段
-        if (typeof requestResult.statusCode != 'undefined') {
+        if (this._isCancelled(requestOptions)) { // 请求被取消了
+            result = this._getCancelResult(requestOptions).data;
+        } else if (typeof requestResult.statusCode == 'undefined' && requestResult.data &&
+                   requestResult.data._errorType === 'C') { // 已经是客户端错误的结果(例如解密失败)
+            result = requestResult.data;
+        } else if (typeof requestResult.statusCode != 'undefined') { // 如果 wx.requet API 调用是成功的, 则一定会有 statusCode 字段
             result = {
                 status: requestResult.statusCode,
                 _errorType: 'H',
@@ -671,6 +3215,52 @@ class WeappBackendApi extends BackendApi {
         }
 
         requestResult.data = result;
+        return requestResult;
+    }
+
+    /**
+     * 接口调用失败时, 先交给中间件处理, 中间件没有替换掉失败的结果时再做通用的错误状态处理
+     * 
+     * @param {object} requestOptions wx.request options
+     * @param {object} requestResult 标准化了错误数据的结果
+     * @return {Promise}
+     */
+    _errorHandler(requestOptions, requestResult) {
+        return this._runResponseMiddlewares(this._getMiddlewares(requestOptions), requestOptions, Promise.reject(requestResult), (requestResult) => {
+            return this.commonFailStatusHandler(requestOptions, requestResult);
+        });
+    }
+
+    /**
+     * 客户端错误时的默认处理方法, 例如请求参数不正确, 此时不会发送请求
+     * 
+     * @param {object} requestOptions wx.request options
+     * @param {number} status 错误码中的数字部分
+     * @param {object} [detail] 用于排查错误的详细错误信息
+     * @return {Promise}
+     */
+    _clientFailHandler(requestOptions, status, detail) {
+        var requestResult = {
+            data: {
+                status: status,
+                _errorType: 'C',
+                statusInfo: {
+                    message: WeappBackendApi.defaults.CLIENT_FAIL_MESSAGE,
+                    detail: detail
+                }
+            }
+        };
+
+        // 发送请求之前的客户端错误(例如接口不存在, 缺少 path 参数)还没有经过中间件, 也需要收集监控数据
+        if (typeof requestOptions._sampled === 'undefined') {
+            this._getMiddlewares(requestOptions).filter(function(middleware) {
+                return middleware.name === 'telemetry';
+            }).forEach((middleware) => {
+                middleware.request.call(this, requestOptions);
+                middleware.error.call(this, requestOptions, requestResult);
+            });
+        }
+
         return this.commonFailStatusHandler(requestOptions, requestResult);
     }
 
@@ -701,6 +3291,16 @@ class WeappBackendApi extends BackendApi {
         var _normalizeRequestResult = requestOptions._normalizeRequestResult ?
                                       requestOptions._normalizeRequestResult : this.normalizeRequestResult;
 
+        // wx.downloadFile 没有返回接口数据, 直接以下载文件的路径作为接口的数据
+        // 指定了保存文件的路径(filePath)时, 只会返回 filePath
+        if (requestOptions._type === 'downloadFile') {
+            requestResult.data = {
+                status: 0,
+                data: requestResult.filePath || requestResult.tempFilePath
+            };
+            return;
+        }
+
         // wx.uploadFile 返回的数据是 string 类型, 需要解析为对象
         if (requestOptions._type === 'uploadFile') {
             try {
@@ -768,7 +3368,8 @@ class WeappBackendApi extends BackendApi {
      */
     commonFailTip(requestOptions, requestResult) {
         // 在一些场景下需要, 例如提示用户登录的时候, 不希望看见一个错误提示, 或者想自定义错误提示的时候
-        if (requestOptions._showFailTip !== false) {
+        // 主动取消的请求也不需要给用户提示
+        if (requestOptions._showFailTip !== false && !this._isCancelled(requestOptions)) {
             var message = this.getFailTipMessage(requestOptions, requestResult);
 
             // XXX 由于 wx.showLoading 底层就是调用的 showToast,
@@ -782,7 +3383,7 @@ class WeappBackendApi extends BackendApi {
                 toastOptions.duration = requestOptions._showFailTipDuration;
             }
 
-            wx.showToast(toastOptions);
+            this.adapter.showToast(toastOptions);
         }
     }
 
@@ -817,7 +3418,214 @@ class WeappBackendApi extends BackendApi {
     }
 }
 
+/**
+ * 请求的监控数据上报器, 参考 useTelemetry
+ */
+WeappBackendApi.TelemetryReporter = TelemetryReporter;
+
+/**
+ * 请求签名器, 参考 useSigner
+ */
+WeappBackendApi.RequestSigner = RequestSigner;
+
+/**
+ * 分页加载器, 参考 paginate, 可以通过 `WeappBackendApi.Paginator.defaults` 修改默认的分页方式
+ */
+WeappBackendApi.Paginator = Paginator;
+
+/**
+ * 轮询器, 参考 poll, 可以通过 `WeappBackendApi.Poller.defaults` 修改默认的轮询配置
+ */
+WeappBackendApi.Poller = Poller;
+
+/**
+ * 内置的平台适配器, Node.js 的适配器需要单独引入(`weapp-backend-api/src/adapters/node.js`)
+ */
+WeappBackendApi.adapters = {
+    weapp: weappAdapter,
+    alipay: alipayAdapter,
+    toutiao: toutiaoAdapter,
+    swan: swanAdapter
+};
+
+/**
+ * 内置的中间件
+ */
+WeappBackendApi.middlewares = {
+    /**
+     * 网络不可用时将请求保存到离线队列中(`_offline: 'queue'`)
+     */
+    offline: {
+        name: 'offline',
+        error(requestOptions, requestResult) {
+            if (requestOptions._offline === 'queue' && this.offlineQueue.isQueueable(requestOptions, requestResult)) {
+                var item = this.offlineQueue.add(requestOptions);
+                return this.commonFailStatusHandler(requestOptions, {
+                    data: {
+                        status: WeappBackendApi.defaults.OFFLINE_QUEUED_STATUS,
+                        _errorType: 'C',
+                        statusInfo: {
+                            message: WeappBackendApi.defaults.OFFLINE_QUEUED_MESSAGE,
+                            detail: {
+                                id: item.id,
+                                requestResult: requestResult
+                            }
+                        }
+                    }
+                });
+            }
+        }
+    },
+
+    /**
+     * 请求的监控, 通过 useTelemetry 开启
+     */
+    telemetry: {
+        name: 'telemetry',
+        request(requestOptions) {
+            requestOptions._sampled = requestOptions._telemetry !== false && this.telemetry.isSampled();
+        },
+        response(requestOptions, requestResult) {
+            if (requestOptions._sampled) {
+                this._reportTelemetry(requestOptions, requestResult, true);
+            }
+        },
+        error(requestOptions, requestResult) {
+            if (requestOptions._sampled) {
+                this._reportTelemetry(requestOptions, requestResult, false);
+            }
+        }
+    },
+    /**
+     * 登录态过期的统一处理, 通过 useAuth 开启
+     */
+    auth: {
+        name: 'auth',
+        request(requestOptions) {
+            if (requestOptions._skipAuth) {
+                return;
+            }
+
+            requestOptions._authEpoch = this.authEpoch;
+            if (this.auth.applyCredentials) {
+                this.auth.applyCredentials.call(this, requestOptions);
+            }
+        },
+        error(requestOptions, requestResult) {
+            if (requestOptions._skipAuth || requestOptions._authReplayed ||
+                !this.auth.isSessionExpired.call(this, requestOptions, requestResult)) {
+                return;
+            }
+
+            // 同时过期的多个请求共用一次刷新登录态, 刷新失败时只提示一次
+            var joined = !!this.authRefreshing;
+            // 请求发出之后已经刷新过登录态了, 直接重新发送请求即可
+            var refreshing = requestOptions._authEpoch < this.authEpoch ? Promise.resolve() : this._refreshAuth();
+
+            return refreshing.then(() => {
+                var _requestOptions = extend(true, {}, requestOptions, {
+                    _authReplayed: true
+                });
+                _requestOptions.url = requestOptions._url;
+                return this.$sendHttpRequest(_requestOptions);
+            }, (reason) => {
+                var authFailResult = this._getAuthFailResult(reason);
+                if (joined) {
+                    return Promise.reject(authFailResult);
+                }
+                return this.commonFailStatusHandler(requestOptions, authFailResult);
+            });
+        }
+    },
+    /**
+     * 查询请求队列拦截重复请求(不发送请求)
+     */
+    interceptDuplicateRequest: {
+        name: 'interceptDuplicateRequest',
+        request(requestOptions) {
+            if (requestOptions._interceptDuplicateRequest && this._isDuplicateRequest(requestOptions)) {
+                return this._interceptDuplicateRequest(requestOptions);
+            }
+        }
+    },
+    /**
+     * 接口缓存, 根据缓存策略(`_cacheStrategy`)读取缓存数据, 接口调用成功时将请求结果写入缓存
+     * 
+     * - `cache-first` 存在缓存数据则直接读取缓存数据(不发送请求)
+     * - `stale-while-revalidate` 存在缓存数据则直接读取缓存数据, 同时在后台发送请求更新缓存
+     * - `network-first` 优先发送请求, 请求失败(A 和 H 类型的错误)时读取缓存数据
+     * - `cache-only` 只读取缓存数据, 没有缓存数据时以错误码 C103 拒绝
+     * - `network-only` 总是发送请求, 不读取缓存数据(例如轮询)
+     */
+    cache: {
+        name: 'cache',
+        request(requestOptions) {
+            var cacheStrategy = requestOptions._cacheStrategy || 'cache-first';
+            if (cacheStrategy === 'network-first' || cacheStrategy === 'network-only') {
+                return;
+            }
+
+            var cachedRequestResult = this._getCache(requestOptions);
+            if (cachedRequestResult) {
+                if (cacheStrategy === 'stale-while-revalidate') {
+                    this._revalidateCache(requestOptions);
+                }
+                return this._getCacheResult(requestOptions, cachedRequestResult);
+            } else if (cacheStrategy === 'cache-only') {
+                return this._clientFailHandler(requestOptions, WeappBackendApi.defaults.CACHE_MISS_STATUS, {
+                    cacheStrategy: cacheStrategy
+                });
+            }
+        },
+        response(requestOptions, requestResult) {
+            if (requestOptions._cacheTtl >= 0) {
+                this._setCache(requestOptions, requestResult);
+            }
+
+            // 调用成功后让相关接口的缓存失效, 例如修改了数据之后需要让列表接口的缓存失效
+            if (requestOptions._invalidateCache) {
+                this.clearCache(requestOptions._invalidateCache);
+            }
+        },
+        error(requestOptions, requestResult) {
+            if (requestOptions._cacheStrategy === 'network-first' && !this._isCancelled(requestOptions)) {
+                var errorType = requestResult.data && requestResult.data._errorType;
+                var cachedRequestResult = this._getCache(requestOptions);
+
+                if ((errorType === 'A' || errorType === 'H') && cachedRequestResult) {
+                    return this._getCacheResult(requestOptions, cachedRequestResult);
+                }
+            }
+        }
+    },
+    /**
+     * 发送请求时显示 loading 提示, 所有请求都结束时关闭 loading 提示
+     */
+    loading: {
+        name: 'loading',
+        request(requestOptions) {
+            // 前面的请求可能没有开启 loading, 因此不能判断 !this._isAnySending()
+            this._showLoading(requestOptions);
+        },
+        response(requestOptions, requestResult) {
+            if (!this._isAnySending(true)) {
+                this._hideLoading(requestOptions);
+            }
+        },
+        error(requestOptions, requestResult) {
+            if (!this._isAnySending(true)) {
+                this._hideLoading(requestOptions);
+            }
+        }
+    }
+};
+
+WeappBackendApi.CancelToken = CancelToken;
+
 WeappBackendApi.defaults = {
+    // 默认的平台适配器
+    adapter: weappAdapter,
+
     LOADING_MESSAGE: '',
 
     FAIL_MESSAGE: '系统繁忙',
@@ -829,6 +3637,187 @@ WeappBackendApi.defaults = {
     REQUEST_API_FAIL_STATUS: 1,
     REQUEST_API_FAIL_MESSAGE: '请求失败，请重试',
 
+    // 客户端错误(例如请求参数不正确), 此时不会发送请求
+    CLIENT_FAIL_MESSAGE: '请求出错，请重试',
+    // 缺少接口 URL 中必填的 path 参数
+    PATH_PARAMS_FAIL_STATUS: 101,
+    // 请求被取消了
+    REQUEST_CANCEL_STATUS: 102,
+    REQUEST_CANCEL_MESSAGE: '请求已取消',
+    // 只读取缓存数据(`cache-only`)时没有缓存数据
+    CACHE_MISS_STATUS: 103,
+    // 刷新登录态失败
+    AUTH_FAIL_STATUS: 104,
+    AUTH_FAIL_MESSAGE: '登录已失效，请重新登录',
+    // 没有找到对应的接口配置(接口名不正确)
+    API_NOT_FOUND_STATUS: 105,
+    // 请求的数据或者接口返回的数据不符合 schema(`_requestSchema`/`_responseSchema`)
+    SCHEMA_FAIL_STATUS: 106,
+    // 网络不可用, 请求已经保存到离线队列中(`_offline: 'queue'`)
+    OFFLINE_QUEUED_STATUS: 107,
+    OFFLINE_QUEUED_MESSAGE: '网络不可用，已保存，网络恢复后会自动提交',
+    // 轮询超出了最长的轮询时长(`_poll.maxDuration`)
+    POLL_TIMEOUT_STATUS: 108,
+    POLL_TIMEOUT_MESSAGE: '查询超时，请稍后再试',
+    // 加密请求的数据或者解密接口返回的数据失败(`_codec`)
+    CODEC_FAIL_STATUS: 109,
+    CODEC_FAIL_MESSAGE: '数据解析失败，请重试',
+    // 加载远程的接口配置失败(`loadApiConfig`)
+    API_CONFIG_FAIL_STATUS: 110,
+    API_CONFIG_FAIL_MESSAGE: '加载配置失败，请重试',
+
+    // 小程序运行的版本(`envVersion`)对应的默认日志级别
+    ENV_LOGGER_LEVELS: {
+        develop: Logger.LEVEL_TRACE,
+        trial: Logger.LEVEL_TRACE,
+        release: Logger.LEVEL_WARN
+    },
+    // 保存当前环境(`switchEnvironment`)的 key
+    ENV_STORAGE_KEY: 'env',
+
+    // 记录缓存数据索引的 key
+    CACHE_INDEX_KEY: '_cacheIndex',
+    // 缓存的容量(按缓存数据 JSON 字符串的长度计算), 小程序的本地缓存最大为 10MB
+    CACHE_MAX_SIZE: 2 * 1024 * 1024,
+
+    // 最多同时发送请求的数量, 小程序 wx.request 的最大并发数为 10
+    MAX_CONCURRENCY: 10,
+
+    // 幂等的 HTTP method, 默认只会重试这些 method 的请求
+    IDEMPOTENT_METHODS: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'],
+
+    // 默认的重试策略, 可以通过 `requestOptions._retry` 来覆盖
+    retry: {
+        // 最多发出请求的次数(包含第一次请求), 默认不重试
+        maxAttempts: 1,
+        // 第一次重试前等待的时长(ms), 之后每次重试等待的时长按 factor 倍数增长
+        delay: 300,
+        factor: 2,
+        // 重试前最多等待的时长(ms)
+        maxDelay: 5000,
+        // 随机减少等待时长的比例(0~1)
+        jitter: 0.5,
+        // 需要重试的错误类型, 只能为 A 和 H, 业务错误(B)不会重试
+        errorTypes: ['A', 'H'],
+        // 需要重试的 HTTP 状态码
+        httpStatus: [408, 429, 500, 502, 503, 504],
+        // 是否允许重试非幂等的请求(例如 POST)
+        nonIdempotent: false
+    },
+
+    // 默认的模拟请求配置, 参考 `requestOptions._mock`
+    mock: {
+        // 模拟请求的延迟时长(ms), 设置为 [min, max] 时为随机的延迟时长
+        delay: 300,
+        // 模拟 HTTP 状态码, 例如设置为 500 模拟 HTTP 请求失败
+        statusCode: 200,
+        header: {}
+    },
+
+    // 批量接口的配置, 参考 `requestOptions._batch`
+    batch: {
+        // 批量接口返回的结果格式不正确时的错误信息
+        INVALID_RESULTS_MESSAGE: 'invalid batch results',
+
+        // `_batch: true` 时使用的批量接口的名称
+        api: 'batch',
+        // 合并窗口的时长(ms), 窗口内发出的请求会合并到一起发送, 可以在批量接口的配置中通过 `_batchWindow` 来覆盖
+        window: 10,
+        // 最多合并多少个请求, 达到时立即发送, 可以在批量接口的配置中通过 `_batchMaxSize` 来覆盖
+        maxSize: 20,
+        // 生成批量接口的请求数据
+        toRequest: function(requestOptionsList) {
+            return {
+                requests: requestOptionsList.map(function(requestOptions) {
+                    return {
+                        method: (requestOptions.method || 'GET').toUpperCase(),
+                        url: requestOptions.url,
+                        header: requestOptions.header,
+                        data: requestOptions.data
+                    };
+                })
+            };
+        },
+        // 获取批量接口返回的每个请求的结果 `{statusCode, header, data}`, 顺序与请求的顺序一致
+        toResults: function(requestResult) {
+            return requestResult.data ? requestResult.data.responses : undefined;
+        }
+    },
+
+    // WebSocket 通道的默认配置, 可以通过 `requestOptions._socket` 来覆盖, 参考 channel
+    socket: {
+        // 消息中表示 id, 类型和数据的字段
+        idField: 'id',
+        typeField: 'type',
+        dataField: 'data',
+        // 子协议
+        protocols: undefined,
+        // 等待回复的时长(ms)
+        requestTimeout: 10000,
+        // 心跳, 每隔 interval 发送一次心跳消息, 超过 interval + timeout 没有收到任何消息时断开重连, 设置为 false 时不发送心跳
+        heartbeat: {
+            interval: 30000,
+            timeout: 10000,
+            message: {
+                type: 'ping'
+            }
+        },
+        // 自动重连的策略(指数退避), 设置为 false 时不自动重连
+        reconnect: {
+            maxAttempts: 10,
+            delay: 1000,
+            factor: 2,
+            maxDelay: 30000
+        }
+    },
+
+    // 离线请求队列的配置, 参考 `requestOptions._offline`
+    offline: {
+        // 保存离线队列的 key
+        STORAGE_KEY: 'queue',
+        // 请求在离线队列中的存活时长(ms), 可以通过 `requestOptions._offlineTtl` 来覆盖
+        ttl: 24 * 60 * 60 * 1000,
+        // 可以保存到离线队列中的请求的 method
+        methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+        // 回放失败时是否为暂时性的错误(例如网络仍然不可用), 是则保留请求等待下一次回放
+        isTransient: function(requestResult) {
+            var result = requestResult.data || {};
+            return result._errorType === 'A' ||
+                   (result._errorType === 'H' && result.status >= 500) ||
+                   (result._errorType === 'C' && (result.status == WeappBackendApi.defaults.REQUEST_CANCEL_STATUS ||
+                                                  result.status == WeappBackendApi.defaults.AUTH_FAIL_STATUS));
+        },
+        // 回放失败时是否为冲突(例如数据已经被修改过了)
+        isConflict: function(requestResult) {
+            var result = requestResult.data || {};
+            return result._errorType === 'H' && (result.status == 409 || result.status == 412);
+        }
+    },
+
+    // 加载远程的接口配置(`loadApiConfig`)的默认配置
+    apiConfig: {
+        // 保存接口配置的 key 的前缀, 后面是加载接口配置的 URL
+        STORAGE_KEY: 'apiConfig:',
+        // 接口配置的版本, 与本地保存的版本不一致时不使用本地保存的接口配置(例如小程序发布了新的版本)
+        version: undefined,
+        // 加载的超时时长(ms), 包括重试的时间, 超时后取消请求
+        timeout: 10000,
+        // 加载失败时的重试策略, 参考 `WeappBackendApi.defaults.retry`
+        retry: {
+            maxAttempts: 3
+        },
+        // 最终加载失败时是否使用内置的接口配置(构造函数传入的)继续发送等待中的请求, 默认以错误码 C110 拒绝等待中的请求
+        fallback: false
+    },
+
+    // 默认的登录态配置, 参考 useAuth
+    auth: {
+        isSessionExpired: function(requestOptions, requestResult) {
+            var result = requestResult.data;
+            return !!result && result._errorType === 'H' && result.status == 401;
+        }
+    },
+
     // 默认的请求参数
     requestOptions: {
         header: {